@@ -204,6 +204,11 @@ function setupEventListeners() {
 
   projectLink.addEventListener('click', () => switchContent('project'));
   settingLink.addEventListener('click', () => switchContent('setting'));
+
+  // 最適化の方針の切り替え
+  document.querySelectorAll('input[name="optimization"]').forEach(radio => {
+    radio.addEventListener('change', handleOptimizationChange);
+  });
   homeLink.addEventListener('click', () => { window.location.href = '/'; });
 }
 
@@ -290,6 +295,52 @@ async function createNewProject() {
 
 
 
+// ==============================
+// 6. 設定
+// ==============================
+
+// Setting ページに保存済みの設定を表示する関数
+async function displaySettings() {
+  try {
+    const { settings, optimization } = await fetchJSON('/settings');
+    const backbones = await fetchJSON('/backbones');
+
+    document.querySelectorAll('input[name="optimization"]').forEach(radio => {
+      radio.checked = radio.value === settings.optimization;
+
+      // 方針ごとに使用するバックボーン名を表示 (モデルファイルが登録されていない場合はその旨も表示)
+      const backbone = backbones.find(item => item.name === optimization[radio.value]);
+      const backboneName = document.getElementById(`${radio.value}Backbone`);
+      backboneName.textContent = backbone
+        ? `(${backbone.name}${backbone.installed ? '' : ' - not installed'})`
+        : '';
+    });
+  } catch (error) {
+    console.error('設定の取得に失敗しました', error);
+  }
+}
+
+// 最適化の方針を変更したときのイベントハンドラ
+async function handleOptimizationChange(event) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/settings`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ optimization: event.target.value }),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(`${data.error}: ${data.details}`);
+    }
+    console.log(data.message);
+  } catch (error) {
+    console.error('設定の保存に失敗しました', error);
+    alert('設定の保存に失敗しました');
+    await displaySettings(); // 保存済みの設定に戻す
+  }
+}
+
+
 // ==============================
 // 7. 初期化
 // ==============================
@@ -305,4 +356,5 @@ async function init() {
     
     setupEventListeners();
     await displayProjects();
+    await displaySettings();
 }
\ No newline at end of file
@@ -9,6 +9,81 @@ const API_BASE_URL = 'http://localhost:3000';
 // グローバルスコープで socket 変数を定義
 let socket;
 
+// 学習に使うラベルの選択 (プロジェクトの学習設定の { labelMode, excludedLabels, includedLabels }, 読み込み前は null)
+let trainingLabelSelection = null;
+
+// 学習に使うラベルの選び方の表示名
+const LABEL_MODE_LABELS = {
+  exclude: 'Train: all except unchecked', // チェックを外したラベル以外 (新しいラベルも学習に使う)
+  include: 'Train: checked only', // チェックしたラベルのみ (新しいラベルはチェックするまで学習に使わない)
+};
+
+// 学習設定の項目名と入力欄の ID の対応 (入れ子の項目は "." で区切る)
+const TRAIN_CONFIG_FIELDS = {
+  epochs: 'configEpochs',
+  hiddenUnits: 'configHiddenUnits',
+  dropout: 'configDropout',
+  optimizer: 'configOptimizer',
+  learningRate: 'configLearningRate',
+  batchSize: 'configBatchSize',
+  backbone: 'configBackbone',
+  inputSize: 'configInputSize',
+  trainingMode: 'configTrainingMode',
+  'preprocessing.resize': 'configPreprocessingResize',
+  'preprocessing.interpolation': 'configPreprocessingInterpolation',
+  'preprocessing.colorMode': 'configPreprocessingColorMode',
+  'preprocessing.normalization': 'configPreprocessingNormalization',
+  'preprocessing.exifOrientation': 'configPreprocessingExifOrientation',
+  'fineTune.layers': 'configFineTuneLayers',
+  'fineTune.learningRate': 'configFineTuneLearningRate',
+  'fineTune.epochs': 'configFineTuneEpochs',
+  validationSplit: 'configValidationSplit',
+  'crossValidation.enabled': 'configCrossValidationEnabled',
+  'crossValidation.folds': 'configCrossValidationFolds',
+  'crossValidation.trainFinalModel': 'configCrossValidationTrainFinalModel',
+  seed: 'configSeed',
+  'earlyStopping.enabled': 'configEarlyStoppingEnabled',
+  'earlyStopping.monitor': 'configEarlyStoppingMonitor',
+  'earlyStopping.patience': 'configEarlyStoppingPatience',
+  'earlyStopping.minDelta': 'configEarlyStoppingMinDelta',
+  classBalance: 'configClassBalance',
+  'augmentation.enabled': 'configAugmentationEnabled',
+  'augmentation.multiplier': 'configAugmentationMultiplier',
+  'augmentation.horizontalFlip': 'configAugmentationHorizontalFlip',
+  'augmentation.verticalFlip': 'configAugmentationVerticalFlip',
+  'augmentation.rotation': 'configAugmentationRotation',
+  'augmentation.zoom': 'configAugmentationZoom',
+  'augmentation.brightness': 'configAugmentationBrightness',
+  'augmentation.contrast': 'configAugmentationContrast',
+};
+
+// 学習ジョブの状態の表示名
+const JOB_STATUS_LABELS = {
+  queued: 'queued...',
+  loading: 'loading images...',
+  extracting: 'extracting features...',
+  training: 'training...',
+  crossValidating: 'cross-validating...',
+  sweeping: 'sweeping...',
+  fineTuning: 'fine-tuning...',
+  done: 'done',
+  failed: 'failed',
+  cancelled: 'cancelled',
+};
+
+// 学習の方法の表示名
+const TRAINING_MODE_LABELS = {
+  features: 'features only',
+  fineTune: 'fine-tuned',
+};
+
+// 学習が終了した理由の表示名
+const STOP_REASON_LABELS = {
+  completed: 'completed',
+  earlyStopped: 'early stopped',
+  cancelled: 'cancelled',
+};
+
 // ==============================
 // 2. ヘルパー関数
 // ==============================
@@ -65,6 +140,24 @@ async function fetchLabelList(projectName) {
   return await response.json();
 }
 
+// サーバーから学習済みモデルのバージョン一覧を取得する関数
+async function fetchModelVersions(projectName) {
+  const response = await fetch(`/models/${encodeURIComponent(projectName)}`);
+  if (!response.ok) {
+    throw new Error('モデル一覧の取得に失敗しました');
+  }
+  return await response.json(); // { versions, activeVersion }
+}
+
+// サーバーからプロジェクトの既定の学習設定を取得する関数
+async function fetchTrainConfig(projectName) {
+  const response = await fetch(`/train-config/${encodeURIComponent(projectName)}`);
+  if (!response.ok) {
+    throw new Error('学習設定の取得に失敗しました');
+  }
+  return await response.json(); // { config, defaults }
+}
+
 // 既存のラベルコンテナをクリアする関数
 function clearLabelContainers() {
   const imageGrid = document.getElementById('imageGrid');
@@ -262,7 +355,7 @@ async function displayProgress() {
 }
 
 
-// プログレスバーを更新する関数 (変更なし)
+// プログレスバーを更新する関数 (progress は 0 - 100 の %)
 function updateProgress(progress) {
   const progressBar = document.querySelector('.progress-bar');
   const percentage = document.querySelector('.percentage');
@@ -274,6 +367,18 @@ function updateProgress(progress) {
   percentage.textContent = `${progress}%`;
 }
 
+// 学習中の指標を更新する関数
+function updateTrainMetrics(metrics) {
+  // 指標を小数点以下 4 桁で表示 (検証データがない場合は -)
+  const format = value => (value === null || value === undefined ? '-' : value.toFixed(4));
+
+  document.getElementById('trainMetrics').style.display = 'block';
+  document.getElementById('metricLoss').textContent = format(metrics.loss);
+  document.getElementById('metricAccuracy').textContent = format(metrics.accuracy);
+  document.getElementById('metricValLoss').textContent = format(metrics.val_loss);
+  document.getElementById('metricValAccuracy').textContent = format(metrics.val_accuracy);
+}
+
 // 画像総数を更新する関数
 function updateImageCount() {
   const imageListTitle = document.querySelector('.image-list-title');
@@ -530,6 +635,45 @@ function toggleAddLabelForm() {
   addLabelForm.style.display = addLabelForm.style.display === 'block' ? 'none' : 'block';
 }
 
+// データセットの確認で警告があった場合に、確認後に送り直す学習の要求 { event, payload }
+let pendingTrainRequest = null;
+
+// 学習の要求 (学習開始・スイープ開始・試行の学習) を送信する関数 (警告の確認後に送り直せるように要求を覚えておく)
+function emitTrainRequest(event, payload) {
+  pendingTrainRequest = { event, payload };
+  socket.emit(event, payload);
+}
+
+// データセットの確認結果の問題を表示用のテキストにする関数 (ファイルは問題ごとに先頭の 5 件まで)
+function formatPreflightIssues(issues) {
+  return issues.map(issue => {
+    const files = issue.files.slice(0, 5).map(file => `    ${file}`);
+    if (issue.fileCount > files.length) {
+      files.push(`    ... 他 ${issue.fileCount - files.length} 件`);
+    }
+    return [`- ${issue.message} (${issue.code})`, ...files].join('\n');
+  }).join('\n');
+}
+
+// データセットの確認結果を受け取ったときの処理 (警告がある場合は確認してから学習の要求を送り直す)
+function handlePreflightReport(data) {
+  const { report, needsConfirmation } = data;
+  if (!needsConfirmation) {
+    return; // 学習できない問題は learnFailed イベントで表示する
+  }
+
+  const summary = `ラベル ${report.labels.length} 個, 画像 ${report.totals.readable} / ${report.totals.files} 枚`;
+  const request = pendingTrainRequest;
+  if (request && confirm(`データセットに次の問題があります (${summary})。\n\n${formatPreflightIssues(report.warnings)}\n\nこのまま学習を始めますか？`)) {
+    emitTrainRequest(request.event, { ...request.payload, confirmWarnings: true });
+    return;
+  }
+  // 学習を始めない場合は ▶ マークを ▷ に戻す
+  pendingTrainRequest = null;
+  document.getElementById('trainStartIcon').textContent = '▷';
+  document.getElementById('trainStatus').textContent = '';
+}
+
 // "Train" ボタンの ▷ マークのクリックイベントハンドラ
 function handleTrainStartClick() {
   const projectName = document.getElementById("projectLink").textContent.trim();
@@ -537,12 +681,172 @@ function handleTrainStartClick() {
 
   // 学習開始時に ▷ マークを ▶ に変更
   trainStartIcon.textContent = '▶';
+  document.getElementById('trainStatus').textContent = JOB_STATUS_LABELS.queued;
 
-  socket.emit('yourBeginLearnMsg', {
+  const parentVersion = document.getElementById('trainParentVersion').value;
+  emitTrainRequest('yourBeginLearnMsg', {
     projectName: projectName,
+    config: readTrainConfigForm(), // 学習設定パネルの値
+    parentVersion: parentVersion === '' ? null : Number(parentVersion), // 続きから学習する元のバージョン (空欄は最初から学習)
   });
 }
 
+// 学習ジョブの状態を表示に反映する関数
+function applyJobStatus(job) {
+  const trainStartIcon = document.getElementById('trainStartIcon');
+  const trainStatus = document.getElementById('trainStatus');
+  const finished = ['done', 'failed', 'cancelled'].includes(job.status);
+
+  // 実行待ち・実行中は ▶、終了したら ▷
+  trainStartIcon.textContent = finished ? '▷' : '▶';
+
+  // 完了時の表示は learnCompleted イベントで行う (終了した理由を表示するため)
+  if (job.status === 'failed' && job.errorCode) {
+    trainStatus.textContent = `failed (${job.errorCode})`; // learnFailed イベントと同じ表示
+  } else if (job.status !== 'done' && !(job.status === 'cancelled' && job.result)) {
+    trainStatus.textContent = JOB_STATUS_LABELS[job.status];
+  }
+
+  // ページを再読み込みした場合に備えて最新のエポックの進捗を表示
+  if (!finished && job.progress) {
+    updateProgress(Math.round((job.progress.epoch + 1) / job.progress.epochs * 100));
+    updateTrainMetrics(job.progress);
+  }
+
+  // 学習ダッシュボードに反映
+  applyJobToDashboard(job);
+}
+
+// "Stop" ボタンのクリックイベントハンドラ
+function handleTrainStopClick() {
+  const projectName = document.getElementById("projectLink").textContent.trim();
+
+  // 学習中でなければ何もしない
+  if (document.getElementById('trainStartIcon').textContent !== '▶') {
+    return;
+  }
+  socket.emit('cancelLearn', { projectName });
+  document.getElementById('trainStatus').textContent = 'stopping...';
+}
+
+// 学習設定を入力欄に反映する関数
+function fillTrainConfigForm(config) {
+  Object.entries(TRAIN_CONFIG_FIELDS).forEach(([key, elementId]) => {
+    const element = document.getElementById(elementId);
+    const value = key.split('.').reduce((parent, name) => parent[name], config); // 入れ子の項目を取得
+    if (element.type === 'checkbox') {
+      element.checked = value;
+    } else {
+      element.value = value ?? ''; // 未設定 (null) の項目は空欄にする
+    }
+  });
+}
+
+// 入力欄から学習設定を読み取る関数 (検証はサーバー側で行う)
+function readTrainConfigForm() {
+  const config = {};
+  Object.entries(TRAIN_CONFIG_FIELDS).forEach(([key, elementId]) => {
+    const element = document.getElementById(elementId);
+    let value = element.value;
+    if (element.type === 'checkbox') {
+      value = element.checked;
+    } else if (element.type === 'number') {
+      value = element.value === '' ? null : Number(element.value); // 空欄は未設定 (null) として送る
+    }
+
+    // 入れ子の項目はオブジェクトを作成して設定
+    const names = key.split('.');
+    const parent = names.slice(0, -1).reduce((object, name) => (object[name] = object[name] || {}), config);
+    parent[names[names.length - 1]] = value;
+  });
+  return config;
+}
+
+// バックボーンの選択肢を表示する関数
+async function displayBackboneOptions() {
+  const response = await fetch('/backbones');
+  if (!response.ok) {
+    throw new Error('バックボーン一覧の取得に失敗しました');
+  }
+  const backbones = await response.json();
+
+  const backboneSelect = document.getElementById('configBackbone');
+  backboneSelect.innerHTML = '<option value="auto">auto (Setting)</option>';
+  backbones.forEach(backbone => {
+    const option = document.createElement('option');
+    option.value = backbone.name;
+    option.textContent = backbone.installed ? backbone.name : `${backbone.name} (not installed)`;
+    if (backbone.installed && !backbone.fineTunable) {
+      option.textContent += ' (no fine-tune)'; // レイヤーモデルがないためファインチューニングできない
+    }
+    backboneSelect.appendChild(option);
+  });
+}
+
+// 学習設定パネルを読み込む関数
+async function loadTrainSettings() {
+  const projectName = document.getElementById("projectLink").textContent.trim();
+  try {
+    await displayBackboneOptions();
+    const { config } = await fetchTrainConfig(projectName);
+    fillTrainConfigForm(config);
+  } catch (error) {
+    handleError(error, '学習設定の取得に失敗しました');
+  }
+}
+
+// 学習設定パネルのデータ拡張の設定で拡張した画像を表示する関数
+async function displayAugmentPreview(labelName, imageName, imagePlaceholder, augmentPreview) {
+  const projectName = document.getElementById("projectLink").textContent.trim();
+  const { augmentation, preprocessing } = readTrainConfigForm();
+
+  try {
+    const response = await fetch(`/augmentation/${encodeURIComponent(projectName)}/preview`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ labelName, imageName, augmentation, preprocessing, count: 6 }),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      // 検証エラーの内容を表示
+      return handleError(data.details, `${data.error}: ${data.details}`);
+    }
+
+    // 元の画像の代わりに拡張した画像を並べて表示
+    augmentPreview.innerHTML = '';
+    data.images.forEach(src => {
+      const img = document.createElement('img');
+      img.src = src;
+      augmentPreview.appendChild(img);
+    });
+    imagePlaceholder.style.display = 'none';
+    augmentPreview.style.display = 'flex';
+  } catch (error) {
+    handleError(error, 'データ拡張のプレビューに失敗しました');
+  }
+}
+
+// "Save as default" ボタンのクリックイベントハンドラ
+async function handleSaveTrainSettingsClick() {
+  const projectName = document.getElementById("projectLink").textContent.trim();
+  try {
+    const response = await fetch(`/train-config/${encodeURIComponent(projectName)}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(readTrainConfigForm()),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      // 検証エラーの内容を表示
+      return handleError(data.details, `${data.error}: ${data.details}`);
+    }
+    fillTrainConfigForm(data.config);
+    console.log(data.message);
+  } catch (error) {
+    handleError(error, '学習設定の保存に失敗しました');
+  }
+}
+
 // 新しいラベルを作成する関数
 async function createNewLabel() {
   const newLabelNameInput = document.getElementById('newLabelName');
@@ -628,6 +932,8 @@ function setupSidebarLabelToggle() {
 
     // sidebar-label 要素をアクティブにする
     sidebarLabel.classList.add('active');
+    hideDashboard();
+    hideRuns();
 
     // sidebar-check 要素を非アクティブにする
     sidebarCheck.classList.remove('active');
@@ -680,6 +986,8 @@ function setupSidebarCheckToggle() {
 
     // "Check" 項目のアクティブ状態を切り替え
     sidebarCheck.classList.toggle('active');
+    hideDashboard();
+    hideRuns();
 
     // image-list と check-content の表示を切り替え
     if (sidebarCheckList.style.display === 'block') {
@@ -955,6 +1263,20 @@ async function enlargeImage(imageCard) {
   const imageSrc = imageCard.querySelector('img').src; 
   imagePlaceholder.style.backgroundImage = `url(${imageSrc})`;
 
+  // データ拡張のプレビューを表示する領域とボタンを追加
+  const augmentPreview = document.createElement('div');
+  augmentPreview.classList.add('augment-preview');
+  augmentPreview.style.display = 'none';
+  imageContainer.appendChild(augmentPreview);
+
+  const augmentPreviewButton = document.createElement('button');
+  augmentPreviewButton.classList.add('augment-preview-button');
+  augmentPreviewButton.textContent = 'Augment preview';
+  augmentPreviewButton.addEventListener('click', () => {
+    displayAugmentPreview(imageCard.dataset.labelName, imageCard.dataset.imageName, imagePlaceholder, augmentPreview);
+  });
+  imageContainer.appendChild(augmentPreviewButton);
+
   // body に画像コンテナを追加
   document.body.appendChild(imageContainer);
 }
@@ -985,6 +1307,14 @@ function setupEventListeners() {
 
   document.getElementById('LearnStartButton').addEventListener('click', handleTrainStartClick);
 
+  document.getElementById('LearnStopButton').addEventListener('click', handleTrainStopClick);
+
+  document.getElementById('trainSettingsButton').addEventListener('click', () => {
+    toggleElementDisplay(document.getElementById('trainSettings'));
+  });
+
+  document.getElementById('saveTrainSettingsButton').addEventListener('click', handleSaveTrainSettingsClick);
+
   document.getElementById('createNewLabelButton').addEventListener('click', createNewLabel);
   const hamburgerMenu = document.getElementById('hamburgerMenu');
   const menu = document.getElementById('menu');
@@ -1003,6 +1333,20 @@ function displaySidebarLabelList(labelList) {
   const sidebarLabelList = document.getElementById('sidebarLabelList');
   sidebarLabelList.innerHTML = ''; // 既存のラベル一覧をクリア
 
+  // 学習に使うラベルの選び方 (チェックを外したラベルを除く / チェックしたラベルだけを使う)
+  const labelModeSelect = document.createElement('select');
+  labelModeSelect.id = 'trainLabelMode';
+  labelModeSelect.classList.add('train-label-mode');
+  Object.entries(LABEL_MODE_LABELS).forEach(([mode, text]) => {
+    const option = document.createElement('option');
+    option.value = mode;
+    option.textContent = text;
+    labelModeSelect.appendChild(option);
+  });
+  labelModeSelect.value = trainingLabelSelection ? trainingLabelSelection.labelMode : 'exclude';
+  labelModeSelect.addEventListener('change', handleTrainLabelModeChange);
+  sidebarLabelList.appendChild(labelModeSelect);
+
   // All を追加
   const allLabel = document.createElement('div');
   allLabel.textContent = 'All';
@@ -1039,6 +1383,16 @@ function displaySidebarLabelList(labelList) {
     if (label.isDirectory) {
       const labelElement = document.createElement('div');
       labelElement.textContent = label.name;
+      // 学習に使うかを切り替えるチェックボックス (学習設定の labelMode に従って excludedLabels / includedLabels を更新する)
+      const trainCheck = document.createElement('input');
+      trainCheck.type = 'checkbox';
+      trainCheck.classList.add('train-label-check');
+      trainCheck.dataset.labelName = label.name;
+      trainCheck.title = 'Use for training';
+      trainCheck.checked = !trainingLabelSelection || isTrainingLabel(trainingLabelSelection, label.name);
+      trainCheck.addEventListener('click', event => event.stopPropagation()); // ラベルの表示の切り替えを行わない
+      trainCheck.addEventListener('change', handleTrainLabelCheckChange);
+      labelElement.prepend(trainCheck);
       const imageCount = document.createElement('div');
       imageCount.textContent = `${document.querySelectorAll(`.image-card[data-label-name="${label.name}"]`).length} images`;
       imageCount.classList.add('image-count'); // 画像数表示用のクラスを追加
@@ -1065,6 +1419,194 @@ function displaySidebarLabelList(labelList) {
       });
     }
   });
+
+  loadTrainingLabelSelection();
+}
+
+// ラベルを学習に使うかを判定する関数 (サーバーの trainConfig.isTrainingLabel と同じ判定)
+function isTrainingLabel(selection, labelName) {
+  return selection.labelMode === 'include' ? selection.includedLabels.includes(labelName) : !selection.excludedLabels.includes(labelName);
+}
+
+// 学習に使うラベルの選択をサイドバーの選び方とチェックボックスに反映する関数
+function applyTrainingLabelSelection(config) {
+  trainingLabelSelection = { labelMode: config.labelMode, excludedLabels: config.excludedLabels, includedLabels: config.includedLabels };
+  const labelModeSelect = document.getElementById('trainLabelMode');
+  if (labelModeSelect) {
+    labelModeSelect.value = config.labelMode;
+  }
+  document.querySelectorAll('#sidebarLabelList .train-label-check').forEach(check => {
+    check.checked = isTrainingLabel(trainingLabelSelection, check.dataset.labelName);
+  });
+}
+
+// 学習に使うラベルの選択を読み込み、サイドバーのチェックボックスに反映する関数
+async function loadTrainingLabelSelection() {
+  const projectName = document.getElementById("projectLink").textContent.trim();
+  try {
+    const { config } = await fetchTrainConfig(projectName);
+    applyTrainingLabelSelection(config);
+  } catch (error) {
+    handleError(error, '学習に使うラベルの取得に失敗しました');
+  }
+}
+
+// 学習に使うラベルの選択を保存する関数 (保存できなかった場合は false を返す)
+async function saveTrainingLabelSelection(changes) {
+  const projectName = document.getElementById("projectLink").textContent.trim();
+  try {
+    const response = await fetch(`/train-config/${encodeURIComponent(projectName)}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(changes),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      handleError(data.details, `${data.error}: ${data.details}`);
+      return false;
+    }
+    applyTrainingLabelSelection(data.config);
+    return true;
+  } catch (error) {
+    handleError(error, '学習に使うラベルの保存に失敗しました');
+    return false;
+  }
+}
+
+// 学習に使うラベルのチェックボックスの変更イベントハンドラ
+async function handleTrainLabelCheckChange(event) {
+  const check = event.currentTarget;
+  const labelName = check.dataset.labelName;
+  const selection = trainingLabelSelection || { labelMode: 'exclude', excludedLabels: [], includedLabels: [] };
+
+  // 一覧にないラベル (削除済みなど) の選択はそのまま残す
+  let changes;
+  if (selection.labelMode === 'include') {
+    const includedLabels = selection.includedLabels.filter(name => name !== labelName);
+    changes = { includedLabels: check.checked ? [...includedLabels, labelName] : includedLabels };
+  } else {
+    const excludedLabels = selection.excludedLabels.filter(name => name !== labelName);
+    changes = { excludedLabels: check.checked ? excludedLabels : [...excludedLabels, labelName] };
+  }
+  if (!await saveTrainingLabelSelection(changes)) {
+    check.checked = !check.checked; // 保存できなかった場合は元に戻す
+  }
+}
+
+// 学習に使うラベルの選び方の変更イベントハンドラ
+// 切り替えた時点のチェックの状態を引き継ぎ、学習に使うラベルは変えずに選び方だけを変える
+async function handleTrainLabelModeChange(event) {
+  const labelModeSelect = event.currentTarget;
+  const checks = Array.from(document.querySelectorAll('#sidebarLabelList .train-label-check'));
+  const changes = { labelMode: labelModeSelect.value };
+  if (labelModeSelect.value === 'include') {
+    changes.includedLabels = checks.filter(check => check.checked).map(check => check.dataset.labelName);
+  } else {
+    changes.excludedLabels = checks.filter(check => !check.checked).map(check => check.dataset.labelName);
+  }
+  if (!await saveTrainingLabelSelection(changes) && trainingLabelSelection) {
+    labelModeSelect.value = trainingLabelSelection.labelMode; // 保存できなかった場合は元に戻す
+  }
+}
+
+// サイドバーに学習済みモデルのバージョン一覧を表示する関数
+async function displayModelList() {
+  const projectName = document.getElementById("projectLink").textContent.trim();
+  const sidebarModelList = document.getElementById('sidebarModelList');
+
+  try {
+    const { versions, activeVersion } = await fetchModelVersions(projectName);
+    sidebarModelList.innerHTML = ''; // 既存のバージョン一覧をクリア
+    displayParentVersionOptions(versions);
+
+    if (versions.length === 0) {
+      const emptyElement = document.createElement('div');
+      emptyElement.textContent = 'No models';
+      sidebarModelList.appendChild(emptyElement);
+      return;
+    }
+
+    // 選択中のバージョンがなければ最新のバージョンを選択中として扱う
+    const selectedVersion = activeVersion || versions[versions.length - 1].version;
+
+    // 新しいバージョンから順に表示
+    versions.slice().reverse().forEach(meta => {
+      const modelItem = document.createElement('div');
+      modelItem.classList.add('model-item');
+      modelItem.dataset.version = meta.version;
+      modelItem.textContent = `v${meta.version} (${meta.labels.length} labels, ${TRAINING_MODE_LABELS[meta.trainingMode || 'features']})`;
+      if (meta.parentVersion) {
+        modelItem.textContent += ` ← v${meta.parentVersion}`; // 続きから学習した元のバージョン
+      }
+      // ホバーで作成日時・ラベル・シード値・前処理を表示
+      modelItem.title = `${new Date(meta.createdAt).toLocaleString()}\n${meta.labels.join(', ')}`;
+      if (meta.training && meta.training.seed !== undefined) {
+        modelItem.title += `\nseed: ${meta.training.seed}`;
+      }
+      if (meta.preprocessing) {
+        const { resize, interpolation, colorMode, normalization, exifOrientation } = meta.preprocessing;
+        modelItem.title += `\npreprocessing: ${resize}, ${interpolation}, ${colorMode}, ${normalization}${exifOrientation ? ', EXIF' : ''}`;
+      }
+      if (meta.version === selectedVersion) {
+        modelItem.classList.add('selected-model');
+      }
+      modelItem.addEventListener('click', handleModelItemClick);
+      sidebarModelList.appendChild(modelItem);
+    });
+  } catch (error) {
+    handleError(error, 'モデル一覧の取得に失敗しました');
+  }
+}
+
+// 続きから学習する元のバージョンの選択肢を表示する関数 (特徴量を入力とするモデルだけを選べる)
+function displayParentVersionOptions(versions) {
+  const parentSelect = document.getElementById('trainParentVersion');
+  const selected = parentSelect.value;
+  parentSelect.innerHTML = '<option value="">scratch</option>';
+  versions
+    .filter(meta => (meta.trainingMode || 'features') === 'features')
+    .reverse()
+    .forEach(meta => {
+      const option = document.createElement('option');
+      option.value = meta.version;
+      option.textContent = `v${meta.version} (${meta.backbone})`;
+      parentSelect.appendChild(option);
+    });
+  // 選択していたバージョンが残っていれば選択を保つ
+  parentSelect.value = [...parentSelect.options].some(option => option.value === selected) ? selected : '';
+}
+
+// モデルバージョンのクリックイベントハンドラ
+async function handleModelItemClick(event) {
+  const projectName = document.getElementById("projectLink").textContent.trim();
+  const modelItem = event.currentTarget;
+  const version = Number(modelItem.dataset.version);
+
+  try {
+    // 使用するバージョンをサーバーに保存
+    await sendRequest(`/models/${encodeURIComponent(projectName)}/active`, 'PUT', { version }, 'モデルの選択に失敗しました');
+
+    // 選択表示を切り替え
+    document.querySelectorAll('#sidebarModelList .model-item').forEach(item => item.classList.remove('selected-model'));
+    modelItem.classList.add('selected-model');
+  } catch (error) {
+    console.error(error); // エラー表示は sendRequest 内で行う
+  }
+}
+
+// "Model" 項目のクリックイベントリスナーを設定する関数
+function setupSidebarModelToggle() {
+  const sidebarModel = document.getElementById('sidebarModel');
+  const sidebarModelList = document.getElementById('sidebarModelList');
+  const modelToggleIcon = document.getElementById('modelToggleIcon');
+
+  sidebarModel.addEventListener('click', () => {
+    // バージョン一覧の表示・非表示を切り替え
+    sidebarModelList.style.display = sidebarModelList.style.display === 'none' ? 'block' : 'none';
+
+    // 山括弧の表示を切り替え
+    modelToggleIcon.textContent = sidebarModelList.style.display === 'block' ? '︿' : '﹀';
+  });
 }
 
 // アクティブなラベルを更新する関数
@@ -1103,6 +1645,835 @@ function updateActiveLabel() {
 
 
 
+// ==============================
+// 4.5 学習ダッシュボード
+// ==============================
+
+// ダッシュボードに表示している学習の経過
+const dashboardState = {
+  jobId: null, // 表示中のジョブ ID (ライブ表示の場合)
+  startedAt: null, // 学習の開始時刻
+  finishedAt: null, // 学習の終了時刻 (学習中は null)
+  epochs: [], // エポックごとの指標
+  logs: [], // ログ { elapsedMs, message }
+  live: true, // ライブ表示中か (false の場合は保存済みの経過を再生中)
+  ticker: null, // 経過時間を更新するタイマー
+};
+
+// グラフの系列の色
+const CHART_COLORS = {
+  train: '#ff7f50',
+  validation: '#68b7ff',
+};
+
+// ミリ秒を "1m 23s" 形式の文字列に変換する関数
+function formatDuration(ms) {
+  if (ms === null || ms === undefined || !Number.isFinite(ms)) {
+    return '-';
+  }
+  const totalSeconds = Math.round(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
+}
+
+// 折れ線グラフを描画する関数
+function drawLineChart(canvas, seriesList, options = {}) {
+  const context = canvas.getContext('2d');
+  const padding = { top: 10, right: 10, bottom: 25, left: 45 };
+  const width = canvas.width - padding.left - padding.right;
+  const height = canvas.height - padding.top - padding.bottom;
+  context.clearRect(0, 0, canvas.width, canvas.height);
+
+  // 値の範囲を計算 (null は欠損値として扱う)
+  const values = seriesList.flatMap(series => series.values).filter(value => value !== null && value !== undefined);
+  const pointCount = Math.max(0, ...seriesList.map(series => series.values.length));
+  if (values.length === 0) {
+    context.fillStyle = '#999';
+    context.font = '12px Arial';
+    context.fillText('No data', padding.left + width / 2 - 20, padding.top + height / 2);
+    return;
+  }
+  const minValue = options.min !== undefined ? options.min : Math.min(...values);
+  let maxValue = options.max !== undefined ? options.max : Math.max(...values);
+  if (maxValue === minValue) {
+    maxValue = minValue + 1; // 値が一定の場合も描画できるようにする
+  }
+  const toX = index => padding.left + (pointCount > 1 ? (index / (pointCount - 1)) * width : width / 2);
+  const toY = value => padding.top + height - ((value - minValue) / (maxValue - minValue)) * height;
+
+  // 目盛りと補助線を描画
+  context.strokeStyle = '#e0e0e0';
+  context.fillStyle = '#666';
+  context.font = '11px Arial';
+  context.lineWidth = 1;
+  for (let i = 0; i <= 4; i++) {
+    const value = minValue + ((maxValue - minValue) * i) / 4;
+    const y = toY(value);
+    context.beginPath();
+    context.moveTo(padding.left, y);
+    context.lineTo(padding.left + width, y);
+    context.stroke();
+    context.fillText(value.toFixed(2), 5, y + 4);
+  }
+  context.fillText('1', padding.left, canvas.height - 8);
+  context.fillText(`${pointCount}`, padding.left + width - 15, canvas.height - 8);
+
+  // 系列ごとに折れ線を描画
+  seriesList.forEach((series, seriesIndex) => {
+    context.strokeStyle = series.color;
+    context.lineWidth = 2;
+    context.beginPath();
+    let drawing = false;
+    series.values.forEach((value, index) => {
+      if (value === null || value === undefined) {
+        drawing = false; // 欠損値の前後は線をつなげない
+        return;
+      }
+      if (drawing) {
+        context.lineTo(toX(index), toY(value));
+      } else {
+        context.moveTo(toX(index), toY(value));
+        drawing = true;
+      }
+    });
+    context.stroke();
+
+    // 凡例を描画
+    const legendX = padding.left + width - 110;
+    const legendY = padding.top + 12 + seriesIndex * 14;
+    context.fillStyle = series.color;
+    context.fillRect(legendX, legendY - 8, 10, 10);
+    context.fillStyle = '#333';
+    context.fillText(series.label, legendX + 14, legendY + 1);
+  });
+}
+
+// ダッシュボードの経過時間・1 エポックあたりの時間・残り時間を更新する関数
+function updateDashboardStats() {
+  const { epochs, startedAt, finishedAt } = dashboardState;
+  const last = epochs[epochs.length - 1];
+
+  // 経過時間 (学習中は現在時刻まで)
+  const endTime = finishedAt ? Date.parse(finishedAt) : Date.now();
+  document.getElementById('dashboardElapsed').textContent = startedAt ? formatDuration(endTime - Date.parse(startedAt)) : '-';
+
+  // 1 エポックあたりの時間 (最初のエポックには画像の読み込み時間が含まれるため、2 エポック目以降の平均)
+  const epochTime = epochs.length >= 2
+    ? (last.elapsedMs - epochs[0].elapsedMs) / (epochs.length - 1)
+    : null;
+  document.getElementById('dashboardEpochTime').textContent = formatDuration(epochTime);
+
+  // 残り時間 (学習中のみ)
+  const remainingEpochs = last ? last.epochs - (last.epoch + 1) : null;
+  const eta = !finishedAt && epochTime !== null ? epochTime * remainingEpochs : null;
+  document.getElementById('dashboardEta').textContent = formatDuration(eta);
+
+  document.getElementById('dashboardEpoch').textContent = last ? `${last.epoch + 1} / ${last.epochs}` : '-';
+}
+
+// ダッシュボードのグラフと経過時間を描画する関数
+function renderDashboard() {
+  const { epochs } = dashboardState;
+  const hasValidation = epochs.some(metrics => metrics.val_loss !== null && metrics.val_loss !== undefined);
+
+  const lossSeries = [{ label: 'loss', color: CHART_COLORS.train, values: epochs.map(metrics => metrics.loss) }];
+  const accuracySeries = [{ label: 'acc', color: CHART_COLORS.train, values: epochs.map(metrics => metrics.accuracy) }];
+  if (hasValidation) {
+    lossSeries.push({ label: 'val_loss', color: CHART_COLORS.validation, values: epochs.map(metrics => metrics.val_loss) });
+    accuracySeries.push({ label: 'val_acc', color: CHART_COLORS.validation, values: epochs.map(metrics => metrics.val_accuracy) });
+  }
+
+  drawLineChart(document.getElementById('lossChart'), lossSeries, { min: 0 });
+  drawLineChart(document.getElementById('accuracyChart'), accuracySeries, { min: 0, max: 1 });
+  updateDashboardStats();
+}
+
+// ダッシュボードのログを描画する関数
+function renderDashboardLogs() {
+  const dashboardLog = document.getElementById('dashboardLog');
+  dashboardLog.innerHTML = '';
+  dashboardState.logs.forEach(appendDashboardLogElement);
+}
+
+// ダッシュボードにログを 1 行追加する関数
+function appendDashboardLogElement(log) {
+  const dashboardLog = document.getElementById('dashboardLog');
+  const logElement = document.createElement('div');
+  logElement.textContent = `[${formatDuration(log.elapsedMs)}] ${log.message}`;
+  dashboardLog.appendChild(logElement);
+  dashboardLog.scrollTop = dashboardLog.scrollHeight; // 最新のログまでスクロール
+}
+
+// 経過時間を 1 秒ごとに更新するタイマーを開始・停止する関数
+function setDashboardTicker(running) {
+  if (running && !dashboardState.ticker) {
+    dashboardState.ticker = setInterval(updateDashboardStats, 1000);
+  } else if (!running && dashboardState.ticker) {
+    clearInterval(dashboardState.ticker);
+    dashboardState.ticker = null;
+  }
+}
+
+// ダッシュボードに表示する経過を置き換える関数
+function loadDashboard(state) {
+  Object.assign(dashboardState, state);
+  setDashboardTicker(dashboardState.live && !dashboardState.finishedAt);
+  renderDashboard();
+  renderDashboardLogs();
+}
+
+// 学習ジョブの状態をダッシュボードに反映する関数
+function applyJobToDashboard(job) {
+  const finished = ['done', 'failed', 'cancelled'].includes(job.status);
+
+  // 新しいジョブ (またはページの再読み込み後) の場合は、サーバーが記録している経過で置き換える
+  if (job.id !== dashboardState.jobId) {
+    if (!dashboardState.live) {
+      return; // 保存済みの経過を再生中の場合はライブ表示を切り替えない
+    }
+    loadDashboard({
+      jobId: job.id,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      epochs: job.history || [],
+      logs: job.logs || [],
+    });
+    // 完了したジョブの場合は保存されたバージョンの評価結果を表示
+    if (job.result && job.result.modelVersion) {
+      loadEvaluation(job.result.modelVersion.version);
+    } else {
+      renderEvaluation(null);
+    }
+    return;
+  }
+
+  dashboardState.startedAt = job.startedAt;
+  dashboardState.finishedAt = job.finishedAt;
+  setDashboardTicker(dashboardState.live && !finished && job.startedAt !== null);
+  if (dashboardState.live) {
+    updateDashboardStats();
+  }
+}
+
+// エポックごとの指標をダッシュボードに追加する関数
+function appendDashboardMetrics(metrics) {
+  if (!dashboardState.live) {
+    return;
+  }
+  dashboardState.epochs.push(metrics);
+  renderDashboard();
+}
+
+// ログをダッシュボードに追加する関数
+function appendDashboardLog(message) {
+  if (!dashboardState.live) {
+    return;
+  }
+  const elapsedMs = dashboardState.startedAt ? Date.now() - Date.parse(dashboardState.startedAt) : 0;
+  const log = { elapsedMs, message };
+  dashboardState.logs.push(log);
+  appendDashboardLogElement(log);
+}
+
+// 再生できる学習の一覧 (保存済みのモデルバージョン) を選択肢に表示する関数
+async function loadDashboardRunOptions() {
+  const projectName = document.getElementById("projectLink").textContent.trim();
+  const runSelect = document.getElementById('dashboardRunSelect');
+
+  try {
+    const { versions } = await fetchModelVersions(projectName);
+    const selectedValue = runSelect.value;
+    runSelect.innerHTML = '<option value="live">Live</option>';
+    versions.slice().reverse().forEach(meta => {
+      const option = document.createElement('option');
+      option.value = meta.version;
+      option.textContent = `v${meta.version} (${new Date(meta.createdAt).toLocaleString()})`;
+      runSelect.appendChild(option);
+    });
+    runSelect.value = Array.from(runSelect.options).some(option => option.value === selectedValue) ? selectedValue : 'live';
+  } catch (error) {
+    handleError(error, '学習の一覧の取得に失敗しました');
+  }
+}
+
+// 再生する学習を切り替えたときのイベントハンドラ
+async function handleDashboardRunChange(event) {
+  const projectName = document.getElementById("projectLink").textContent.trim();
+  const value = event.target.value;
+
+  if (value === 'live') {
+    // 実行中または最後のジョブの経過をサーバーから取得して表示
+    const jobs = await fetch(`/jobs?projectName=${encodeURIComponent(projectName)}`).then(response => response.json());
+    dashboardState.live = true;
+    dashboardState.jobId = null;
+    if (jobs.length > 0) {
+      applyJobToDashboard(jobs[0]);
+    } else {
+      loadDashboard({ startedAt: null, finishedAt: null, epochs: [], logs: [] });
+    }
+    return;
+  }
+
+  try {
+    const response = await fetch(`/models/${encodeURIComponent(projectName)}/${value}/history`);
+    if (!response.ok) {
+      throw new Error('学習の経過の取得に失敗しました');
+    }
+    const history = await response.json();
+    loadDashboard({ live: false, jobId: null, ...history });
+    await loadEvaluation(value);
+  } catch (error) {
+    handleError(error, '学習の経過の取得に失敗しました');
+  }
+}
+
+// 割合を % 表記の文字列に変換する関数
+function formatPercent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+// 平均と標準偏差を "12.3% ± 4.5%" 形式の文字列に変換する関数
+function formatMeanStd({ mean, std }) {
+  return mean === null ? '-' : `${formatPercent(mean)} ± ${formatPercent(std)}`;
+}
+
+// 評価結果 (混同行列とラベルごとの評価指標) を表示する関数 (evaluation が null の場合は表示を消す)
+function renderEvaluation(evaluation) {
+  const summary = document.getElementById('evaluationSummary');
+  const confusionMatrix = document.getElementById('confusionMatrix');
+  const labelMetrics = document.getElementById('labelMetrics');
+  confusionMatrix.innerHTML = '';
+  labelMetrics.innerHTML = '';
+  document.getElementById('evaluationSamplesTitle').textContent = '';
+  document.getElementById('evaluationSamples').innerHTML = '';
+
+  if (!evaluation) {
+    summary.textContent = '-';
+    return;
+  }
+  summary.textContent = `Accuracy ${formatPercent(evaluation.accuracy)} / Macro F1 ${formatPercent(evaluation.macroAverage.f1)} (${evaluation.total} images)`;
+
+  // 交差検証の場合は、分割ごとの正解率と F1 の平均 ± 標準偏差も表示 (混同行列は全分割の検証結果をまとめたもの)
+  const crossValidation = evaluation.crossValidation || null;
+  if (crossValidation) {
+    summary.textContent += ` — ${crossValidation.folds}-fold CV: accuracy ${formatMeanStd(crossValidation.accuracy)} / macro F1 ${formatMeanStd(crossValidation.macroF1)}`;
+  }
+
+  // 混同行列 (行: 正解ラベル, 列: 予測ラベル)
+  const headerRow = confusionMatrix.insertRow();
+  headerRow.appendChild(document.createElement('th')).textContent = 'actual \\ predicted';
+  evaluation.labels.forEach(label => {
+    headerRow.appendChild(document.createElement('th')).textContent = label;
+  });
+  evaluation.matrix.forEach((row, actual) => {
+    const tableRow = confusionMatrix.insertRow();
+    tableRow.appendChild(document.createElement('th')).textContent = evaluation.labels[actual];
+    const rowTotal = row.reduce((sum, count) => sum + count, 0);
+    row.forEach((count, predicted) => {
+      const cell = tableRow.insertCell();
+      cell.textContent = count;
+      // 正解ラベル内の割合に応じて色を付ける (対角成分は正解、それ以外は誤り)
+      const ratio = rowTotal > 0 ? count / rowTotal : 0;
+      cell.style.backgroundColor = actual === predicted
+        ? `rgba(104, 183, 255, ${ratio})`
+        : `rgba(255, 127, 80, ${ratio})`;
+      cell.addEventListener('click', () => {
+        confusionMatrix.querySelectorAll('.selected-cell').forEach(selected => selected.classList.remove('selected-cell'));
+        cell.classList.add('selected-cell');
+        displayEvaluationSamples(evaluation, actual, predicted);
+      });
+    });
+  });
+
+  // ラベルごとの適合率・再現率・F1・画像数 (学習に使ったサンプル数は 補正前 → 補正後 で表示)
+  const classBalance = evaluation.classBalance || null;
+  const metricsHeader = labelMetrics.insertRow();
+  ['label', 'precision', 'recall', 'F1', ...(crossValidation ? ['F1 (CV)'] : []), 'support', ...(classBalance ? [`train (${classBalance.method})`] : [])].forEach(name => {
+    metricsHeader.appendChild(document.createElement('th')).textContent = name;
+  });
+  evaluation.perLabel.forEach((metrics, index) => {
+    const tableRow = labelMetrics.insertRow();
+    tableRow.insertCell().textContent = metrics.label;
+    tableRow.insertCell().textContent = formatPercent(metrics.precision);
+    tableRow.insertCell().textContent = formatPercent(metrics.recall);
+    tableRow.insertCell().textContent = formatPercent(metrics.f1);
+    if (crossValidation) {
+      tableRow.insertCell().textContent = formatMeanStd(crossValidation.perLabel[index].f1);
+    }
+    tableRow.insertCell().textContent = metrics.support;
+    if (classBalance) {
+      const counts = classBalance.labels[index];
+      tableRow.insertCell().textContent = `${counts.original} → ${counts.effective}`;
+    }
+  });
+}
+
+// 混同行列のセルに該当する画像を一覧表示する関数
+function displayEvaluationSamples(evaluation, actual, predicted) {
+  const projectName = document.getElementById("projectLink").textContent.trim();
+  const files = evaluation.samples[actual][predicted];
+  const samplesContainer = document.getElementById('evaluationSamples');
+  samplesContainer.innerHTML = '';
+  document.getElementById('evaluationSamplesTitle').textContent =
+    `actual: ${evaluation.labels[actual]} / predicted: ${evaluation.labels[predicted]} (${files.length} images)`;
+
+  files.forEach(file => {
+    // 画像パスは "ラベル名/画像名" の形式 (学習後に移動・削除された画像は表示できない)
+    const [labelName, imageName] = file.split('/');
+    const sample = document.createElement('div');
+    sample.classList.add('evaluation-sample');
+    sample.title = file;
+    samplesContainer.appendChild(sample);
+    displayImage(`/projects/${projectName}`, labelName, imageName, sample);
+  });
+}
+
+// 保存済みバージョンの評価結果を取得して表示する関数
+async function loadEvaluation(version) {
+  const projectName = document.getElementById("projectLink").textContent.trim();
+
+  try {
+    const response = await fetch(`/models/${encodeURIComponent(projectName)}/${version}/evaluation`);
+    // 検証用の画像がなかった学習には評価結果がない
+    renderEvaluation(response.ok ? await response.json() : null);
+  } catch (error) {
+    handleError(error, '評価結果の取得に失敗しました');
+  }
+}
+
+// "Dashboard" 項目のクリックイベントリスナーを設定する関数
+function setupSidebarDashboardToggle() {
+  const sidebarDashboard = document.getElementById('sidebarDashboard');
+  const trainDashboard = document.getElementById('trainDashboard');
+
+  sidebarDashboard.addEventListener('click', async () => {
+    // 他の項目を非アクティブにして、ダッシュボードだけを表示
+    document.getElementById('sidebarLabel').classList.remove('active');
+    document.getElementById('sidebarLabelList').style.display = 'none';
+    document.getElementById('labelToggleIcon').textContent = '﹀';
+    document.getElementById('sidebarCheck').classList.remove('active');
+    document.getElementById('sidebarCheckList').style.display = 'none';
+    document.getElementById('imageList').style.display = 'none';
+    document.getElementById('checkContent').style.display = 'none';
+
+    hideRuns();
+
+    sidebarDashboard.classList.add('active');
+    trainDashboard.style.display = 'block';
+
+    await loadDashboardRunOptions();
+    renderDashboard();
+  });
+
+  document.getElementById('dashboardRunSelect').addEventListener('change', handleDashboardRunChange);
+}
+
+// ダッシュボードを非表示にする関数 (他の項目を表示するときに呼ぶ)
+function hideDashboard() {
+  document.getElementById('sidebarDashboard').classList.remove('active');
+  document.getElementById('trainDashboard').style.display = 'none';
+}
+
+
+// ==============================
+// 4.6 学習の記録 (Runs)
+// ==============================
+
+// 学習の記録の一覧と比較の状態
+const runsState = {
+  runs: [], // 学習の記録の一覧 (新しい順, エポックごとの指標を含まない)
+  selectedIds: new Set(), // 比較する学習の記録 ID
+  details: new Map(), // 学習の記録 ID → 取得済みの学習の記録 (エポックごとの指標を含む)
+  sweepRunId: null, // 試行の一覧を表示しているスイープの学習の記録 ID
+};
+
+// スイープで探索するパラメータと候補を入力する欄の ID の対応 (候補はカンマ区切り, 空欄の場合は学習設定の値を使う)
+const SWEEP_PARAMETER_FIELDS = {
+  learningRate: 'sweepLearningRate',
+  hiddenUnits: 'sweepHiddenUnits',
+  dropout: 'sweepDropout',
+  epochs: 'sweepEpochs',
+  augmentationStrength: 'sweepAugmentationStrength',
+};
+
+// 比較するグラフの系列の色 (選択した順に割り当てる)
+const RUN_COLORS = ['#ff7f50', '#68b7ff', '#5cb85c', '#b57edc', '#f0ad4e', '#d9534f', '#20b2aa', '#8b8b8b'];
+
+// 学習の記録の状態の表示名
+const RUN_STATUS_LABELS = {
+  running: 'running',
+  done: 'done',
+  cancelled: 'cancelled',
+  failed: 'failed',
+};
+
+// 学習の記録を短く表す名前を返す関数 (保存したモデルのバージョン、なければ開始時刻)
+function getRunName(run) {
+  return run.modelVersion ? `v${run.modelVersion}` : new Date(run.startedAt).toLocaleString();
+}
+
+// 指標の値を表示用の文字列に変換する関数 (正解率は %, 損失は小数 4 桁)
+function formatRunMetric(name, value) {
+  if (value === null || value === undefined) {
+    return '-';
+  }
+  return name.endsWith('accuracy') ? formatPercent(value) : value.toFixed(4);
+}
+
+// 最良の指標を "値 (epoch N)" 形式の文字列に変換する関数
+function formatBestMetric(run, name) {
+  const best = run.bestMetrics && run.bestMetrics[name];
+  return best ? `${formatRunMetric(name, best.value)} (epoch ${best.epoch + 1})` : '-';
+}
+
+// 学習の記録の一覧を取得して表示する関数
+async function loadRunList() {
+  const projectName = document.getElementById("projectLink").textContent.trim();
+
+  try {
+    const response = await fetch(`/runs/${encodeURIComponent(projectName)}`);
+    if (!response.ok) {
+      throw new Error('学習の記録の取得に失敗しました');
+    }
+    runsState.runs = await response.json();
+    // 学習中だった記録は終了後に内容が変わるので取得し直す
+    runsState.runs.forEach(run => {
+      const detail = runsState.details.get(run.id);
+      if (detail && detail.status !== run.status) {
+        runsState.details.delete(run.id);
+      }
+    });
+    // 削除された記録の選択を外す
+    const ids = new Set(runsState.runs.map(run => run.id));
+    runsState.selectedIds.forEach(id => {
+      if (!ids.has(id)) {
+        runsState.selectedIds.delete(id);
+      }
+    });
+    renderRunList();
+    renderSweepResults();
+    await renderRunComparison();
+  } catch (error) {
+    handleError(error, '学習の記録の取得に失敗しました');
+  }
+}
+
+// 学習の記録の一覧を表に表示する関数
+function renderRunList() {
+  const runTable = document.getElementById('runTable');
+  runTable.innerHTML = '';
+
+  if (runsState.runs.length === 0) {
+    runTable.innerHTML = '<tr><td>No runs</td></tr>';
+    return;
+  }
+
+  const headerRow = document.createElement('tr');
+  ['', 'Started', 'Status', 'Mode', 'Backbone', 'Images (train / val)', 'Epochs', 'Duration', 'Final val_acc', 'Best val_acc', 'Best val_loss', 'Model'].forEach(text => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    headerRow.appendChild(th);
+  });
+  runTable.appendChild(headerRow);
+
+  runsState.runs.forEach(run => {
+    const row = document.createElement('tr');
+
+    // 比較する記録を選ぶチェックボックス
+    const checkCell = document.createElement('td');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = runsState.selectedIds.has(run.id);
+    checkbox.addEventListener('change', () => handleRunCheckChange(run.id, checkbox.checked));
+    checkCell.appendChild(checkbox);
+    row.appendChild(checkCell);
+
+    const dataset = run.dataset;
+    const duration = run.finishedAt ? Date.parse(run.finishedAt) - Date.parse(run.startedAt) : null;
+    [
+      new Date(run.startedAt).toLocaleString(),
+      run.status === 'failed' && run.error ? `${RUN_STATUS_LABELS.failed}: ${formatRunError(run.error)}` : RUN_STATUS_LABELS[run.status] || run.status,
+      run.sweep ? `sweep (${run.sweep.method})` : TRAINING_MODE_LABELS[run.config.trainingMode] || run.config.trainingMode,
+      run.backbone,
+      dataset ? `${dataset.total} (${dataset.train} / ${dataset.validation})` : '-',
+      run.sweep ? `${run.epochsRun}` : `${run.epochsRun} / ${run.config.epochs}`,
+      formatDuration(duration),
+      formatRunMetric('val_accuracy', run.finalMetrics && run.finalMetrics.val_accuracy),
+      formatBestMetric(run, 'val_accuracy'),
+      formatBestMetric(run, 'val_loss'),
+    ].forEach(text => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      row.appendChild(td);
+    });
+
+    // 保存したモデルのバージョン (スイープの場合は試行の一覧を表示するボタン)
+    const modelCell = document.createElement('td');
+    if (run.sweep) {
+      const trialsButton = document.createElement('button');
+      trialsButton.textContent = `Trials (${run.sweep.trials.length})`;
+      trialsButton.addEventListener('click', () => {
+        runsState.sweepRunId = run.id;
+        renderSweepResults();
+      });
+      modelCell.appendChild(trialsButton);
+    } else {
+      modelCell.textContent = run.modelVersion ? `v${run.modelVersion}` : '-';
+      if (run.parentVersion) {
+        modelCell.textContent += ` ← v${run.parentVersion}`; // 続きから学習した元のバージョン
+      }
+      if (run.promotedFrom) {
+        modelCell.title = 'trained from a sweep trial'; // スイープの試行の設定で学習したモデル
+      }
+    }
+    row.appendChild(modelCell);
+    // 学習設定とシード値はツールチップに表示
+    row.title = `seed: ${run.seed ?? '-'}\n${JSON.stringify(run.config, null, 2)}`;
+    if (run.error && run.error.message) {
+      row.title = `${run.error.message}\n${row.title}`; // 失敗した理由
+    }
+    runTable.appendChild(row);
+  });
+}
+
+// 比較する学習の記録を選択・解除したときのイベントハンドラ
+async function handleRunCheckChange(runId, checked) {
+  if (checked) {
+    runsState.selectedIds.add(runId);
+  } else {
+    runsState.selectedIds.delete(runId);
+  }
+  await renderRunComparison();
+}
+
+// 学習の記録 (エポックごとの指標を含む) を取得する関数 (取得済みの場合は再利用)
+async function fetchRunDetail(runId) {
+  if (runsState.details.has(runId)) {
+    return runsState.details.get(runId);
+  }
+  const projectName = document.getElementById("projectLink").textContent.trim();
+  const response = await fetch(`/runs/${encodeURIComponent(projectName)}/${runId}`);
+  if (!response.ok) {
+    throw new Error('学習の記録の取得に失敗しました');
+  }
+  const run = await response.json();
+  runsState.details.set(runId, run);
+  return run;
+}
+
+// 選択した学習の記録の指標の経過と最終・最良の指標を並べて表示する関数 (2 つ以上選択した場合のみ)
+async function renderRunComparison() {
+  const runComparison = document.getElementById('runComparison');
+  const runCompareHint = document.getElementById('runCompareHint');
+  // 一覧の順 (新しい順) ではなく、古い順に並べる
+  const selectedRuns = runsState.runs.filter(run => runsState.selectedIds.has(run.id)).reverse();
+
+  if (selectedRuns.length < 2) {
+    runComparison.style.display = 'none';
+    runCompareHint.style.display = 'block';
+    return;
+  }
+  runCompareHint.style.display = 'none';
+  runComparison.style.display = 'block';
+
+  let runs;
+  try {
+    runs = await Promise.all(selectedRuns.map(run => fetchRunDetail(run.id)));
+  } catch (error) {
+    return handleError(error, '学習の記録の取得に失敗しました');
+  }
+
+  // 検証用の指標と学習用の指標のどちらを比べるか
+  const prefix = document.getElementById('runCompareMetric').value === 'validation' ? 'val_' : '';
+  const toSeries = (name) => runs.map((run, index) => ({
+    label: getRunName(run),
+    color: RUN_COLORS[index % RUN_COLORS.length],
+    values: run.epochs.map(metrics => metrics[`${prefix}${name}`]),
+  }));
+  drawLineChart(document.getElementById('runLossChart'), toSeries('loss'), { min: 0 });
+  drawLineChart(document.getElementById('runAccuracyChart'), toSeries('accuracy'), { min: 0, max: 1 });
+
+  // 学習の記録ごとに最終・最良の指標と主な設定を並べた表
+  const runMetrics = document.getElementById('runMetrics');
+  runMetrics.innerHTML = '';
+  const rows = [
+    ['', run => getRunName(run)],
+    ['Started', run => new Date(run.startedAt).toLocaleString()],
+    ['Mode', run => TRAINING_MODE_LABELS[run.config.trainingMode] || run.config.trainingMode],
+    ['Backbone', run => run.backbone],
+    ['Images (train / val)', run => (run.dataset ? `${run.dataset.total} (${run.dataset.train} / ${run.dataset.validation})` : '-')],
+    ['Learning rate', run => run.config.learningRate],
+    ['Batch size', run => run.config.batchSize],
+    ['Class balance', run => run.config.classBalance],
+    ['Seed', run => run.seed ?? '-'],
+    ['Epochs', run => run.epochsRun],
+    ['Final loss', run => formatRunMetric('loss', run.finalMetrics && run.finalMetrics.loss)],
+    ['Final acc', run => formatRunMetric('accuracy', run.finalMetrics && run.finalMetrics.accuracy)],
+    ['Final val_loss', run => formatRunMetric('val_loss', run.finalMetrics && run.finalMetrics.val_loss)],
+    ['Final val_acc', run => formatRunMetric('val_accuracy', run.finalMetrics && run.finalMetrics.val_accuracy)],
+    ['Best val_loss', run => formatBestMetric(run, 'val_loss')],
+    ['Best val_acc', run => formatBestMetric(run, 'val_accuracy')],
+    ['CV accuracy', run => (run.crossValidation ? formatMeanStd(run.crossValidation.accuracy) : '-')],
+    ['CV macro F1', run => (run.crossValidation ? formatMeanStd(run.crossValidation.macroF1) : '-')],
+  ];
+  rows.forEach(([title, getValue], rowIndex) => {
+    const row = document.createElement('tr');
+    const th = document.createElement('th');
+    th.textContent = title;
+    row.appendChild(th);
+    runs.forEach((run, index) => {
+      const cell = document.createElement(rowIndex === 0 ? 'th' : 'td');
+      cell.textContent = getValue(run);
+      if (rowIndex === 0) {
+        cell.style.color = RUN_COLORS[index % RUN_COLORS.length]; // グラフの系列と同じ色
+      }
+      row.appendChild(cell);
+    });
+    runMetrics.appendChild(row);
+  });
+}
+
+// スイープの試行を順位付けの指標で良い順に並べる関数 (指標がない試行は最後)
+function sortSweepTrials(trials, metric) {
+  const valueOf = trial => (trial.metrics ? trial.metrics[metric] ?? null : null);
+  return trials.slice().sort((a, b) => {
+    if (valueOf(a) === null || valueOf(b) === null) {
+      return (valueOf(a) === null) - (valueOf(b) === null);
+    }
+    return metric === 'val_loss' ? valueOf(a) - valueOf(b) : valueOf(b) - valueOf(a);
+  });
+}
+
+// 学習の記録の失敗の理由を表示用の文字列にする関数 (以前の記録はメッセージの文字列)
+function formatRunError(error) {
+  return typeof error === 'string' ? error : `${error.code} (${error.phase})`;
+}
+
+// 選択したスイープの試行を良い順に表示する関数 (各試行の設定でモデルを学習して保存できる)
+function renderSweepResults() {
+  const sweepResults = document.getElementById('sweepResults');
+  const sweepTrialTable = document.getElementById('sweepTrialTable');
+  const run = runsState.runs.find(run => run.id === runsState.sweepRunId && run.sweep);
+  sweepTrialTable.innerHTML = '';
+  if (!run) {
+    sweepResults.style.display = 'none';
+    return;
+  }
+  sweepResults.style.display = 'block';
+
+  const { sweep } = run;
+  document.getElementById('sweepResultsTitle').textContent =
+    `Sweep ${new Date(run.startedAt).toLocaleString()} — ${sweep.method}, ranked by ${sweep.metric} (${sweep.trials.length}${sweep.trialCount ? ` / ${sweep.trialCount}` : ''} trials)`;
+
+  // 試行ごとに変えたパラメータの列を作る
+  const parameterNames = [...new Set(sweep.trials.flatMap(trial => Object.keys(trial.params)))];
+  const headerRow = document.createElement('tr');
+  ['Rank', 'Trial', ...parameterNames, 'val_acc', 'val_loss', 'Epochs', ''].forEach(text => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    headerRow.appendChild(th);
+  });
+  sweepTrialTable.appendChild(headerRow);
+
+  sortSweepTrials(sweep.trials, sweep.metric).forEach((trial, index) => {
+    const row = document.createElement('tr');
+    [
+      index + 1,
+      `#${trial.index + 1}`,
+      ...parameterNames.map(name => trial.params[name] ?? '-'),
+      formatRunMetric('val_accuracy', trial.metrics.val_accuracy),
+      formatRunMetric('val_loss', trial.metrics.val_loss),
+      trial.stopReason === 'earlyStopped' ? `${trial.epochsRun} (${STOP_REASON_LABELS.earlyStopped})` : trial.epochsRun,
+    ].forEach(text => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      row.appendChild(td);
+    });
+
+    // 試行の設定でモデルを学習して新しいバージョンとして保存するボタン
+    const promoteCell = document.createElement('td');
+    const promoteButton = document.createElement('button');
+    promoteButton.textContent = 'Promote';
+    promoteButton.title = 'この試行の学習設定でモデルを学習して保存します';
+    promoteButton.addEventListener('click', () => handleSweepPromoteClick(run.id, trial.index));
+    promoteCell.appendChild(promoteButton);
+    row.appendChild(promoteCell);
+    if (index === 0) {
+      row.classList.add('best-trial'); // 最も良い試行
+    }
+    sweepTrialTable.appendChild(row);
+  });
+}
+
+// スイープの試行の "Promote" ボタンのクリックイベントハンドラ
+function handleSweepPromoteClick(runId, trialIndex) {
+  const projectName = document.getElementById("projectLink").textContent.trim();
+  if (!confirm(`試行 #${trialIndex + 1} の学習設定でモデルを学習して保存しますか？`)) {
+    return;
+  }
+  document.getElementById('trainStartIcon').textContent = '▶';
+  document.getElementById('trainStatus').textContent = JOB_STATUS_LABELS.queued;
+  emitTrainRequest('promoteSweepTrial', { projectName, runId, trialIndex });
+}
+
+// スイープの設定を入力欄から読み取る関数
+function readSweepForm() {
+  const space = {};
+  Object.entries(SWEEP_PARAMETER_FIELDS).forEach(([name, elementId]) => {
+    const text = document.getElementById(elementId).value.trim();
+    if (text !== '') {
+      space[name] = text.split(',').map(value => Number(value.trim()));
+    }
+  });
+  return {
+    method: document.getElementById('sweepMethod').value,
+    trials: Number(document.getElementById('sweepTrialCount').value),
+    metric: document.getElementById('sweepMetric').value,
+    space: space,
+  };
+}
+
+// "Start sweep" ボタンのクリックイベントハンドラ (学習設定の入力欄の値を基準にする)
+function handleSweepStartClick() {
+  const projectName = document.getElementById("projectLink").textContent.trim();
+  document.getElementById('trainStartIcon').textContent = '▶';
+  document.getElementById('trainStatus').textContent = JOB_STATUS_LABELS.queued;
+  emitTrainRequest('startSweep', { projectName, config: readTrainConfigForm(), sweep: readSweepForm() });
+}
+
+// "Runs" 項目のクリックイベントリスナーを設定する関数
+function setupSidebarRunsToggle() {
+  const sidebarRuns = document.getElementById('sidebarRuns');
+  const trainRuns = document.getElementById('trainRuns');
+
+  sidebarRuns.addEventListener('click', async () => {
+    // 他の項目を非アクティブにして、学習の記録だけを表示
+    document.getElementById('sidebarLabel').classList.remove('active');
+    document.getElementById('sidebarLabelList').style.display = 'none';
+    document.getElementById('labelToggleIcon').textContent = '﹀';
+    document.getElementById('sidebarCheck').classList.remove('active');
+    document.getElementById('sidebarCheckList').style.display = 'none';
+    document.getElementById('imageList').style.display = 'none';
+    document.getElementById('checkContent').style.display = 'none';
+    hideDashboard();
+
+    sidebarRuns.classList.add('active');
+    trainRuns.style.display = 'block';
+
+    await loadRunList();
+  });
+
+  document.getElementById('runCompareMetric').addEventListener('change', renderRunComparison);
+  document.getElementById('sweepStartButton').addEventListener('click', handleSweepStartClick);
+}
+
+// 学習の記録を非表示にする関数 (他の項目を表示するときに呼ぶ)
+function hideRuns() {
+  document.getElementById('sidebarRuns').classList.remove('active');
+  document.getElementById('trainRuns').style.display = 'none';
+}
+
 // ==============================
 // 5. 画像アップロード
 // ==============================
@@ -1179,6 +2550,11 @@ async function init() {
   socket = io('http://localhost:3000'); // サーバーに接続
   console.log('サーバーに接続しました');
 
+  // 接続 (再接続) するたびにプロジェクトのルームに参加 (実行中の学習ジョブがあれば状態が送られてくる)
+  socket.on('connect', () => {
+    socket.emit('joinProject', { projectName: document.getElementById("projectLink").textContent.trim() });
+  });
+
   // 画像アップロード成功イベント
   socket.on('uploadSuccess', (data) => {
     console.log(data.message, data.fileName); // 成功メッセージを表示
@@ -1189,17 +2565,91 @@ async function init() {
     handleError(data.error, data.details); // エラーメッセージを表示
   });
 
+  // フォルダアップロード成功イベント (扱えない形式のファイルがあれば理由を表示)
+  socket.on('uploadFolderSuccess', (data) => {
+    console.log(data.message, data.folderName);
+    if (data.skipped && data.skipped.length > 0) {
+      const details = data.skipped.map(file => `${file.fileName}: ${file.reason}`).join('\n');
+      handleError(details, `${data.skipped.length} 個のファイルをスキップしました\n${details}`);
+    }
+  });
+
   // 進捗状況更新イベント
   socket.on('updateProgress', (progress) => {
     updateProgress(progress); // プログレスバーを更新
   });
 
+  // エポックごとの指標更新イベント
+  socket.on('trainMetrics', (metrics) => {
+    updateTrainMetrics(metrics); // 指標の表示を更新
+    if (metrics.fold) {
+      // 交差検証中は何番目の分割を学習しているかを表示
+      document.getElementById('trainStatus').textContent = `cross-validating (fold ${metrics.fold.index + 1}/${metrics.fold.count})...`;
+    }
+    appendDashboardMetrics(metrics); // 学習ダッシュボードのグラフを更新
+  });
+
+  // 画像の読み込みの進捗イベント
+  socket.on('loadProgress', ({ loaded, total }) => {
+    document.getElementById('trainStatus').textContent = `loading ${loaded}/${total}`;
+  });
+
+  // 学習のログイベント
+  socket.on('log', (message) => {
+    appendDashboardLog(message); // 学習ダッシュボードにログを表示
+  });
+
+  // 学習ジョブの状態変更イベント
+  socket.on('jobStatus', (job) => {
+    applyJobStatus(job);
+    // 学習が始まった・終わったときは学習の記録の一覧を更新 (表示中の場合)
+    if (['loading', 'done', 'failed', 'cancelled'].includes(job.status) && document.getElementById('sidebarRuns').classList.contains('active')) {
+      loadRunList();
+    }
+  });
+
   // 学習完了イベント
-  socket.on('learnCompleted', () => {
+  socket.on('learnCompleted', (data) => {
     const trainStartIcon = document.getElementById('trainStartIcon'); // ▶ マークの要素を取得
 
     // 学習完了時に ▶ マークを ▷ に戻す
     trainStartIcon.textContent = '▷'; 
+
+    // 学習が終了した理由を表示 (例: "early stopped (23 epochs)")
+    document.getElementById('trainStatus').textContent = `${STOP_REASON_LABELS[data.stopReason]} (${data.epochsRun} epochs)`;
+
+    // 保存されたモデルバージョンを一覧に反映 (中断した場合は保存されない)
+    if (data.modelVersion) {
+      console.log(`モデル v${data.modelVersion.version} を保存しました`);
+      displayModelList();
+      loadDashboardRunOptions(); // 再生できる学習の一覧を更新
+      loadTrainSettings(); // 学習に使ったバックボーンがプロジェクトに記録されるので設定を読み込み直す
+      if (dashboardState.live) {
+        loadEvaluation(data.modelVersion.version); // 学習ダッシュボードに評価結果を表示
+      }
+    } else if (data.evaluation && dashboardState.live) {
+      renderEvaluation(data.evaluation); // モデルを保存しない交差検証の評価結果を表示
+    }
+  });
+
+  // スイープの試行の完了イベント
+  socket.on('sweepTrial', (trial) => {
+    document.getElementById('trainStatus').textContent = `sweeping (trial ${trial.completed}/${trial.count})...`;
+    if (document.getElementById('sidebarRuns').classList.contains('active')) {
+      loadRunList(); // 学習の記録の一覧と試行の一覧を更新
+    }
+  });
+
+  // データセットの確認結果のイベント (学習を始める前に、要求したクライアントだけに送信される)
+  socket.on('preflightReport', handlePreflightReport);
+
+  // 学習の失敗イベント (学習を始める前の確認・学習中のどちらで失敗した場合も { code, message, phase } で通知される)
+  socket.on('learnFailed', (data) => {
+    // ▶ マークを ▷ に戻し、進捗をリセット
+    document.getElementById('trainStartIcon').textContent = '▷';
+    document.getElementById('trainStatus').textContent = `failed (${data.code})`;
+    updateProgress(0);
+    handleError(data, `${data.message}\n(${data.code}, ${data.phase})`); // エラーメッセージを表示
   });
 
   // カスタムイベントリスナーを設定
@@ -1225,6 +2675,16 @@ async function setupUI() {
   // "Check" 項目のクリックイベントリスナーを追加
   setupSidebarCheckToggle();
 
+  // "Dashboard" 項目のクリックイベントリスナーを追加
+  setupSidebarDashboardToggle();
+
+  // "Runs" 項目のクリックイベントリスナーを追加
+  setupSidebarRunsToggle();
+
+  // "Model" 項目のクリックイベントリスナーを追加
+  setupSidebarModelToggle();
+  await displayModelList();
+
   // 初期状態でサイドバーのラベル一覧を表示
   displaySidebarLabelList(await fetchLabelList(document.getElementById("projectLink").textContent.trim()));
   // スクロールイベントリスナーを追加
@@ -1238,6 +2698,9 @@ async function setupUI() {
   sidebarLabel.classList.add('active');
   imageList.style.display = 'block';
 
+  // 学習設定パネルに既定の設定を表示
+  await loadTrainSettings();
+
   // プログレスバーを表示
   await displayProgress(); 
 }
\ No newline at end of file
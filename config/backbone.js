@@ -0,0 +1,44 @@
+const path = require('path'); // パス操作のモジュールをインポート
+
+// バックボーンのグラフモデルを保存するローカルのフォルダ (環境変数で変更可能)
+const storeDir = process.env.BACKBONE_STORE_DIR || path.join(__dirname, '../backbones');
+
+// 特徴量抽出モデル (バックボーン) の設定
+module.exports = {
+  storeDir: storeDir,
+  // 学習で使用するバックボーン名 (registry の name)
+  defaultBackbone: process.env.BACKBONE_NAME || 'mobilenet-v2-140-224',
+  // 使用できるバックボーンの一覧
+  //   path: model.json を含むフォルダ (npm run import-backbone で登録する)
+  //   inputSize: 入力画像の一辺のサイズ (正方形, 学習設定の inputSize が null の場合に使う)
+  //   inputSizes: 学習設定の inputSize で指定できるサイズ (省略時は inputSize のみ)
+  //     MobileNet v2 は最後に全体の平均をとるため、学習時の解像度であれば特徴量の次元数は変わらない
+  //   featureDim: 出力する特徴量の次元数 (学習するモデルの入力の次元数になる)
+  //   normalization: 入力画像の画素値の範囲 ('0-1' または '-1-1')
+  //   layersPath: 同じ重みのレイヤーモデル (model.json) を含むフォルダ (ファインチューニング用, オプション)
+  registry: [
+    {
+      name: 'mobilenet-v2-140-224',
+      path: path.join(storeDir, 'mobilenet-v2-140-224'),
+      inputSize: 224,
+      inputSizes: [96, 128, 160, 192, 224],
+      featureDim: 1792,
+      normalization: '0-1',
+      layersPath: path.join(storeDir, 'mobilenet-v2-140-224-layers'),
+    },
+    {
+      name: 'mobilenet-v2-050-224',
+      path: path.join(storeDir, 'mobilenet-v2-050-224'),
+      inputSize: 224,
+      inputSizes: [96, 128, 160, 192, 224],
+      featureDim: 1280,
+      normalization: '0-1',
+      layersPath: path.join(storeDir, 'mobilenet-v2-050-224-layers'),
+    },
+  ],
+  // Setting ページの最適化の方針ごとに使用するバックボーン名
+  optimization: {
+    accuracy: 'mobilenet-v2-140-224', // 精度を優先
+    speed: 'mobilenet-v2-050-224', // 速度を優先
+  },
+};
@@ -1,169 +1,1690 @@
 const tf = require('@tensorflow/tfjs-node'); // TensorFlow.js for Node.js をインポート
 const fs = require('fs'); // ファイルシステム操作のモジュールをインポート
 const path = require('path'); // パス操作のモジュールをインポート
-const { glob } = require('glob'); // ファイルパターンのマッチングモジュールをインポート
+const { saveModelVersion, getModelVersion, getModelManifest, getVersionDir } = require('./modelStore'); // 学習済みモデルの保存・取得モジュールをインポート
+const { loadBackbone, loadLayersBackbone, getBackboneSpec } = require('./backboneStore'); // バックボーンの読み込みモジュールをインポート
+const backboneConfig = require('../config/backbone'); // バックボーンの設定をインポート
+const { DEFAULT_TRAIN_CONFIG, describeLabelSelection } = require('./trainConfig'); // 学習設定の既定値をインポート
+const { computeEvaluation, summarizeCrossValidation } = require('./evaluation'); // 学習結果の評価モジュールをインポート
+const { augmentImage, augmentImages } = require('./augmentation'); // データ拡張のモジュールをインポート
+const featureCache = require('./featureCache'); // 特徴量のキャッシュのモジュールをインポート
+const imageFormat = require('./imageFormat'); // 画像の形式の判定モジュールをインポート
+const { listDatasetFiles } = require('./dataset'); // プロジェクトの画像の一覧の取得をインポート
+const { balanceClasses } = require('./classBalance'); // ラベルごとのサンプル数の補正モジュールをインポート
+const { createRandom, createSeed, nextSeed, shuffleInPlace } = require('./random'); // 再現可能な乱数のモジュールをインポート
+const { rankTrials } = require('./sweep'); // スイープの試行の順位付けをインポート
+const { resolvePreprocessing, getPreprocessingId } = require('./preprocessingSpec'); // 画像の前処理の仕様のモジュールをインポート
+const { preprocessImage, normalizeImages } = require('./preprocessing'); // 画像の前処理のモジュールをインポート
+
+/**
+ * 学習の失敗の理由を表すコード付きのエラーを作成する関数
+ * コードは learnFailed イベントと学習の記録に残り、画面ではコードごとに対処を案内できる
+ * @param {string} code エラーコード (例: 'SINGLE_LABEL')
+ * @param {string} message エラーメッセージ
+ * @returns {Error} code を持つエラー
+ */
+function createTrainError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * 学習できる画像とラベルがあることを確認する関数
+ * ラベルが 1 つだけのモデルは常に同じラベルを予測するだけになるため、学習を始めずにエラーにする
+ * @param {Array<string>} files 画像パスの配列
+ * @param {Array<string>} dirs ラベル名の配列
+ * @param {number} skippedCount スキップした画像の枚数
+ */
+function checkTrainableDataset(files, dirs, skippedCount) {
+  if (files.length === 0) {
+    throw createTrainError('NO_IMAGES', `学習に使える画像がありません (スキップした画像: ${skippedCount} 枚)`);
+  }
+  if (dirs.length < 2) {
+    throw createTrainError('SINGLE_LABEL', `学習には画像のあるラベルが 2 つ以上必要です (学習に使えるラベル: ${dirs.join(', ')})`);
+  }
+}
 
 /**
  * 画像ファイルをテンソルに変換する関数
  * @param {string} filePath 画像ファイルのパス
- * @param {Array<number>} size 画像のリサイズサイズ (例: [224, 224])
- * @returns {tf.Tensor} 画像テンソル
+ * @param {object} preprocessing 前処理の仕様 (resolvePreprocessing の結果)
+ * @returns {Promise<tf.Tensor>} 画像テンソルを返す Promise
+ */
+async function fileToTensor(filePath, preprocessing) {
+  const rawimage = await fs.promises.readFile(filePath); // 画像ファイルを非同期に読み込む
+  return await bufferToTensor(rawimage, path.basename(filePath), preprocessing);
+}
+
+/**
+ * 画像データをテンソルに変換する関数
+ * 形式はファイルの内容で判定し、扱えない画像や壊れた画像の場合は理由をメッセージにしたエラーを投げる
+ * @param {Buffer} rawimage 画像ファイルの内容
+ * @param {string} fileName ファイル名 (拡張子の確認に使う)
+ * @param {object} preprocessing 前処理の仕様 (resolvePreprocessing の結果)
+ * @returns {Promise<tf.Tensor>} 前処理した画像テンソル (画素値は 0 - 1)
+ */
+async function bufferToTensor(rawimage, fileName, preprocessing) {
+  const { format, reason } = imageFormat.inspectImage(fileName, rawimage);
+  if (reason) {
+    throw new Error(reason);
+  }
+  const decodable = await imageFormat.toDecodableBuffer(rawimage, format).catch(err => {
+    throw new Error(`failed to convert ${format.name}: ${err.message}`);
+  });
+
+  // 途中のテンソルを解放し、正規化された画像テンソルだけを返す
+  return tf.tidy(() => {
+    let imageTensor;
+    try {
+      // 画像データをテンソルに変換 (3チャンネル, アニメーション GIF は最初のフレームだけを使う)
+      imageTensor = tf.node.decodeImage(decodable, 3, 'int32', false);
+    } catch (err) {
+      throw new Error(`failed to decode ${format.name}: ${err.message}`);
+    }
+    // 前処理の仕様に従って向き・色・サイズをそろえる (EXIF の向きは JPEG だけが持つ)
+    const orientation = preprocessing.exifOrientation ? imageFormat.readExifOrientation(rawimage) : 1;
+    return preprocessImage(imageTensor, preprocessing, orientation);
+  });
+}
+
+/**
+ * フォルダ内の画像ファイルの一覧を取得する関数
+ * 画像は読み込まず、パスとラベルだけをシャッフルして返す
+ * 拡張子は大文字・小文字を区別せず、扱えない拡張子のファイルはスキップしたファイルとして返す (隠しファイルは除く)
+ * @param {string} dirPath フォルダのパス
+ * @param {object} config 学習設定 (labelMode・excludedLabels・includedLabels で選んだラベルのフォルダの画像だけを一覧に含める)
+ * @param {function(): number} random シャッフルに使う 0 以上 1 未満の乱数を返す関数
+ * @returns {Promise<Array>} [画像パス配列, ラベル (数値) 配列, ラベル名配列, スキップしたファイルの配列 { file, reason }] を含む Promise
+ *   画像パスはフォルダからの相対パス (例: "label/image.png")
+ */
+async function listImageFiles(dirPath, config, random = Math.random) {
+  console.log('Identifying Image List'); // 処理状況を出力
+  let listed;
+  try {
+    listed = await listDatasetFiles(dirPath, config); // 学習前の確認と同じ一覧 (パスの順)
+  } catch (error) {
+    console.error('Failed to access files', error); // ファイルアクセスエラーを出力
+    throw createTrainError('LIST_FAILED', `画像の一覧を取得できませんでした: ${error.message}`); // サーバーは止めずに学習を失敗にする
+  }
+  const { files: FILES, labels: YS, dirs, skipped } = listed;
+  console.log(`${FILES.length + skipped.length} Files Found`); // 見つかったファイル数を出力
+
+  /**
+   * 画像パスとラベル (数値) の配列を同じ順序でシャッフルする関数
+   * 同じシード値で同じ順序になるよう、パスの順にそろえた一覧をシャッフルする
+   * @param {Array} array 画像パスの配列
+   * @param {Array} array2 ラベル (数値) の配列
+   */
+  function shuffleCombo(array, array2) {
+    let counter = array.length;
+    console.assert(array.length === array2.length); // 配列の長さが同じであることを確認
+    let temp, temp2;
+    let index = 0;
+    while (counter > 0) {
+      index = (random() * counter) | 0; // ランダムなインデックスを取得
+      counter--;
+      // 配列の要素をスワップ
+      temp = array[counter];
+      temp2 = array2[counter];
+      array[counter] = array[index];
+      array2[counter] = array2[index];
+      array[index] = temp;
+      array2[index] = temp2;
+    }
+  }
+  shuffleCombo(FILES, YS); // 画像パスとラベル (数値) の配列をシャッフル
+
+  return [FILES, YS, dirs, skipped]; // [画像パス配列, ラベル (数値) 配列, ラベル名配列, スキップしたファイルの配列]
+}
+
+// 一度に読み込んで特徴量を抽出する画像の枚数 (メモリに載る画像テンソルはこの枚数分だけ)
+const EXTRACT_BATCH_SIZE = 32;
+
+/**
+ * 特徴量の抽出のために画像を 1 枚読み込む関数
+ * キャッシュがある画像はキャッシュの特徴量を使い、キャッシュがない画像と拡張する画像だけをテンソルに変換する
+ * @param {string} dirPath フォルダのパス
+ * @param {string} file 画像パス (フォルダからの相対パス)
+ * @param {number} index 画像のインデックス
+ * @param {object} preprocessing 前処理の仕様 (resolvePreprocessing の結果)
+ * @param {string} cacheKey 特徴量のキャッシュの抽出条件のキー (null の場合はキャッシュを使わない)
+ * @param {boolean} augment 拡張する画像か
+ * @returns {Promise<object>} { index, hash, features, image } (読み込めない場合は { reason })
  */
-function fileToTensor(filePath, size) {
-  const rawimage = fs.readFileSync(filePath); // 画像ファイルを同期的に読み込む
-  const imageTensor = tf.node.decodeImage(rawimage, 3); // 画像データをテンソルに変換 (3チャンネル)
-  const resizedTensor = tf.image.resizeBilinear(imageTensor, size); // 画像を指定サイズにリサイズ
-  const normalizedTensor = tf.cast(resizedTensor.div(tf.scalar(255)), dtype = 'float32'); // テンソルの型を float32 に変換し、0-1 に正規化
-  return normalizedTensor; // 正規化された画像テンソルを返す
+async function loadExtractEntry(dirPath, file, index, preprocessing, cacheKey, augment) {
+  let rawimage;
+  try {
+    rawimage = await fs.promises.readFile(path.join(dirPath, file)); // 画像ファイルを非同期に読み込む
+  } catch (err) {
+    return { reason: `failed to read: ${err.message}` };
+  }
+  const hash = featureCache.hashContent(rawimage);
+  const features = cacheKey ? await featureCache.readCachedFeatures(hash, cacheKey) : null;
+  if (features && !augment) {
+    return { index, hash, features, image: null };
+  }
+  try {
+    return { index, hash, features, image: await bufferToTensor(rawimage, path.basename(file), preprocessing) };
+  } catch (err) {
+    return { reason: err.message };
+  }
 }
 
 /**
- * フォルダ内の画像をテンソルに変換する関数
+ * 画像を少しずつ読み込み、特徴量を抽出する関数
+ * EXTRACT_BATCH_SIZE 枚ずつ 読み込み → 前処理 → 特徴量の抽出 を行い、画像テンソルはバッチごとに解放する
+ * キャッシュがある画像は特徴量の抽出を省略し、抽出した特徴量はキャッシュに保存する
+ * データ拡張が有効な場合は、augmentIndices の画像から拡張した画像の特徴量も抽出する (拡張した画像はキャッシュしない)
+ * 読み込めない画像 (扱えない形式・壊れた画像) は学習を止めずにスキップし、理由を記録する
+ * @param {tf.GraphModel} featureModel 特徴量抽出モデル
  * @param {string} dirPath フォルダのパス
- * @param {Array<number>} size 画像のリサイズサイズ (例: [224, 224])
- * @returns {Promise<Array>} [正規化された画像テンソル, ラベルテンソル, ラベル名配列] を含む Promise
- */
-function folderToTensors(dirPath, size) {
-  return new Promise((resolve, reject) => {
-    const XS = []; // 画像テンソルを格納する配列
-    const YS = []; // ラベル (数値) を格納する配列
-    const dirs = []; // ラベル名を格納する配列
-
-    console.log('Identifying Image List'); // 処理状況を出力
-    glob(`${dirPath}/*/*.@(png|jpeg|jpg|bmp)`) // フォルダ内の画像ファイルを検索
-      .then(files => {
-        console.log(`${files.length} Files Found`); // 見つかったファイル数を出力
-        console.log('Now converting to tensors'); // 処理状況を出力
-
-        files.forEach((file) => {
-          const dir = path.basename(path.dirname(file)); // ファイルの親ディレクトリ名 (ラベル名) を取得
-          if (!dirs.includes(dir)) {
-            dirs.push(dir); // 新しいラベル名なら配列に追加
+ * @param {Array<string>} files 画像パス (フォルダからの相対パス) の配列
+ * @param {object} preprocessing 前処理の仕様 (resolvePreprocessing の結果, 正規化もこの仕様に従う)
+ * @param {object} options オプション
+ * @param {string} options.cacheKey 特徴量のキャッシュの抽出条件のキー (null の場合はキャッシュを使わない)
+ * @param {Array<number>} options.augmentIndices 拡張する画像のインデックス (学習用の画像)
+ * @param {object} options.augmentation データ拡張の設定 (学習設定の augmentation, 無効な場合は null)
+ * @param {function(): number} options.random データ拡張に使う 0 以上 1 未満の乱数を返す関数 (オプション)
+ * @param {AbortSignal} options.signal 中断するためのシグナル (オプション)
+ * @param {function(number, number): void} options.onProgress 画像を 1 枚処理するごとに (処理済みの枚数, 全体の枚数) で呼ばれる関数 (オプション)
+ * @returns {Promise<object|null>} 抽出結果 (中断された場合は null)
+ *   { features: 読み込めた画像ごとの特徴量, loadedIndices: features の各行の画像のインデックス, hashes: features の各行の画像のハッシュ,
+ *     cachedCount: キャッシュを使った画像の枚数,
+ *     augmentedFeatures: 拡張した画像の特徴量 (拡張しない場合は null), augmentedSourceIndices: 拡張した画像の元の画像のインデックス,
+ *     skipped: スキップした画像 { file, reason } の配列 }
+ */
+async function extractFeatures(featureModel, dirPath, files, preprocessing, options = {}) {
+  const normalization = preprocessing.normalization;
+  const cacheKey = options.cacheKey || null;
+  const augmentation = options.augmentation || null;
+  const augmentIndices = new Set(augmentation ? options.augmentIndices : []);
+  const onProgress = options.onProgress || (() => {});
+  const random = options.random || Math.random;
+  const featureRows = []; // 画像ごとの特徴量 (Float32Array)
+  const loadedIndices = []; // featureRows の各行の画像のインデックス
+  const hashes = []; // featureRows の各行の画像のハッシュ
+  const skipped = []; // スキップした画像 { file, reason }
+  const augmentedParts = []; // 拡張した画像の特徴量
+  const augmentedSourceIndices = [];
+  let cachedCount = 0;
+
+  try {
+    for (let start = 0; start < files.length; start += EXTRACT_BATCH_SIZE) {
+      if (options.signal && options.signal.aborted) {
+        return null;
+      }
+
+      // バッチ分の画像を読み込み、キャッシュがない画像と拡張する画像だけをテンソルに変換
+      const batch = []; // { index, hash, features, image }
+      try {
+        for (const [offset, file] of files.slice(start, start + EXTRACT_BATCH_SIZE).entries()) {
+          const index = start + offset;
+          const entry = await loadExtractEntry(dirPath, file, index, preprocessing, cacheKey, augmentIndices.has(index));
+          if (entry.reason) {
+            skipped.push({ file, reason: entry.reason });
+            console.log(`skipped ${file}: ${entry.reason}`); // スキップした画像を出力
+          } else {
+            batch.push(entry);
           }
-          const answer = dirs.indexOf(dir); // ラベル名を数値に変換
-          const imageTensor = fileToTensor(file, size); // 画像ファイルをテンソルに変換
-          YS.push(answer); // ラベル (数値) を配列に追加
-          XS.push(imageTensor); // 画像テンソルを配列に追加
-        });
+          onProgress(index + 1, files.length);
+        }
+        cachedCount += batch.filter(entry => entry.features).length;
+
+        const decoded = batch.filter(entry => entry.image);
+        if (decoded.length > 0) {
+          const X = tf.stack(decoded.map(entry => entry.image)); // 画像テンソル (0-1 に正規化済み) をスタック
 
-        /**
-         * 画像テンソルとラベル (数値) の配列をシャッフルする関数
-         * @param {Array} array 画像テンソルの配列
-         * @param {Array} array2 ラベル (数値) の配列
-         */
-        function shuffleCombo(array, array2) {
-          let counter = array.length;
-          console.assert(array.length === array2.length); // 配列の長さが同じであることを確認
-          let temp, temp2;
-          let index = 0;
-          while (counter > 0) {
-            index = (Math.random() * counter) | 0; // ランダムなインデックスを取得
-            counter--;
-            // 配列の要素をスワップ
-            temp = array[counter];
-            temp2 = array2[counter];
-            array[counter] = array[index];
-            array2[counter] = array2[index];
-            array[index] = temp;
-            array2[index] = temp2;
+          // キャッシュがない画像の特徴量を抽出し、キャッシュに保存
+          const uncachedRows = decoded.map((entry, row) => (entry.features ? -1 : row)).filter(row => row >= 0);
+          if (uncachedRows.length > 0) {
+            const predicted = tf.tidy(() => featureModel.predict(normalizeImages(tf.gather(X, uncachedRows), normalization))); // 特徴量抽出モデルで特徴量を抽出
+            const values = await predicted.data();
+            const featureDim = predicted.shape[1];
+            predicted.dispose();
+            for (const [i, row] of uncachedRows.entries()) {
+              const entry = decoded[row];
+              entry.features = values.slice(i * featureDim, (i + 1) * featureDim);
+              if (cacheKey) {
+                await featureCache.writeCachedFeatures(entry.hash, cacheKey, entry.features)
+                  .catch(err => console.error('Failed to write feature cache', err)); // キャッシュの保存に失敗しても学習は続ける
+              }
+            }
           }
+
+          // 学習用の画像は拡張した画像の特徴量も抽出
+          decoded.forEach((entry, row) => {
+            if (augmentIndices.has(entry.index)) {
+              augmentedParts.push(tf.tidy(() => {
+                const image = X.slice([row, 0, 0, 0], [1, -1, -1, -1]);
+                return featureModel.predict(normalizeImages(augmentImages(image, augmentation, augmentation.multiplier, random), normalization));
+              }));
+              augmentedSourceIndices.push(...new Array(augmentation.multiplier).fill(entry.index));
+            }
+          });
+          X.dispose();
         }
-        shuffleCombo(XS, YS); // 画像テンソルとラベル (数値) の配列をシャッフル
-
-        console.log('Stacking'); // 処理状況を出力
-        const X = tf.stack(XS); // 画像テンソルをスタック
-        const Y = tf.oneHot(YS, dirs.length); // ラベル (数値) を one-hot エンコーディング
-
-        console.log('Images all converted to tensors:'); // 処理状況を出力
-        console.log('X', X.shape); // 変換後の画像テンソルの形状を出力
-        console.log('Y', Y.shape); // 変換後のラベルテンソルの形状を出力
-
-        // X を 0-1 に正規化
-        const XNORM = X.div(255);
-        // 不要なテンソルを解放
-        tf.dispose([XS, X]); 
-
-        resolve([XNORM, Y, dirs]); // Promise を解決し、[正規化された画像テンソル, ラベルテンソル, ラベル名配列] を返す
-      })
-      .catch(error => {
-        console.error('Failed to access files', error); // ファイルアクセスエラーを出力
-        reject(); // Promise を拒否
-        process.exit(1); // プロセスを終了
-      });
+      } finally {
+        tf.dispose(batch.map(entry => entry.image).filter(image => image)); // 読み込みに失敗した場合も画像テンソルを解放
+      }
+      featureRows.push(...batch.map(entry => entry.features));
+      loadedIndices.push(...batch.map(entry => entry.index));
+      hashes.push(...batch.map(entry => entry.hash));
+
+      await new Promise(resolve => setImmediate(resolve)); // 中断の要求を受け取れるようにイベントループに処理を戻す
+    }
+
+    // 画像ごとの特徴量を 1 つのテンソルにまとめる
+    const featureDim = featureRows.length > 0 ? featureRows[0].length : 0;
+    const values = new Float32Array(featureRows.length * featureDim);
+    featureRows.forEach((row, index) => values.set(row, index * featureDim));
+
+    return {
+      features: tf.tensor2d(values, [featureRows.length, featureDim]),
+      loadedIndices: loadedIndices,
+      hashes: hashes,
+      cachedCount: cachedCount,
+      augmentedFeatures: augmentedParts.length > 0 ? tf.concat(augmentedParts) : null,
+      augmentedSourceIndices: augmentedSourceIndices,
+      skipped: skipped,
+    };
+  } finally {
+    tf.dispose(augmentedParts);
+  }
+}
+
+/**
+ * ラベルごとの割合を保って学習用と検証用のインデックスに分割する関数
+ * 画像が 1 枚しかないラベルは学習用にだけ使う
+ * @param {Array<number>} labels ラベル (数値) の配列
+ * @param {number} ratio 検証用に取り分ける割合 (0 - 1)
+ * @returns {{trainIndices: Array<number>, validationIndices: Array<number>}} 学習用と検証用のインデックス
+ */
+function stratifiedSplit(labels, ratio) {
+  const trainIndices = [];
+  const validationIndices = [];
+
+  // ラベルごとにインデックスをまとめる
+  const indicesByLabel = new Map();
+  labels.forEach((label, index) => {
+    if (!indicesByLabel.has(label)) {
+      indicesByLabel.set(label, []);
+    }
+    indicesByLabel.get(label).push(index);
+  });
+
+  indicesByLabel.forEach(indices => {
+    // 少なくとも 1 枚は学習用に残す
+    const validationCount = Math.min(Math.round(indices.length * ratio), indices.length - 1);
+    // listImageFiles でシャッフル済みなので先頭から検証用に取り分ける
+    validationIndices.push(...indices.slice(0, validationCount));
+    trainIndices.push(...indices.slice(validationCount));
   });
+
+  return { trainIndices, validationIndices };
 }
 
 /**
- * 転移学習を用いてモデルを学習する関数
- * @param {string} folderPath 学習データのフォルダパス
+ * ラベルごとの割合を保って k 個に分割し、分割ごとの学習用と検証用のインデックスを返す関数 (層化 k 分割交差検証)
+ * ラベルごとに画像を順に各分割へ割り当てるため、どの画像もいずれか 1 つの分割でだけ検証用になる
+ * @param {Array<number>} labels ラベル (数値) の配列
+ * @param {number} folds 分割数 (画像の枚数以下)
+ * @returns {Array<{trainIndices: Array<number>, validationIndices: Array<number>}>} 分割ごとの学習用と検証用のインデックス
+ */
+function stratifiedKFold(labels, folds) {
+  // ラベルごとにインデックスをまとめる
+  const indicesByLabel = new Map();
+  labels.forEach((label, index) => {
+    if (!indicesByLabel.has(label)) {
+      indicesByLabel.set(label, []);
+    }
+    indicesByLabel.get(label).push(index);
+  });
+
+  // listImageFiles でシャッフル済みなので先頭から順に割り当てる (ラベルをまたいで続けて割り当て、分割ごとの枚数をそろえる)
+  const foldOf = new Array(labels.length);
+  let position = 0;
+  indicesByLabel.forEach(indices => {
+    indices.forEach(index => {
+      foldOf[index] = position % folds;
+      position++;
+    });
+  });
+
+  return Array.from({ length: folds }, (_, fold) => ({
+    trainIndices: labels.map((label, index) => index).filter(index => foldOf[index] !== fold),
+    validationIndices: labels.map((label, index) => index).filter(index => foldOf[index] === fold),
+  }));
+}
+
+/**
+ * 読み込めなかった画像をデータセットから除き、インデックスとラベルを詰め直す関数
+ * 画像がすべてスキップされたラベルはラベル名の配列からも除く
+ * @param {object} dataset 画像の一覧 { files, labels, dirs, trainIndices, validationIndices }
+ * @param {Array<number>} loadedIndices 読み込めた画像のインデックス (この順に詰め直す)
+ * @returns {object} 詰め直した画像の一覧 { files, labels, dirs, trainIndices, validationIndices, indexMap: 元のインデックス → 新しいインデックス }
+ */
+function excludeSkippedImages(dataset, loadedIndices) {
+  const indexMap = new Map(loadedIndices.map((index, newIndex) => [index, newIndex]));
+  const usedLabels = new Set(loadedIndices.map(index => dataset.labels[index]));
+  const dirs = dataset.dirs.filter((dir, label) => usedLabels.has(label));
+  const labelMap = new Map(dataset.dirs.map((dir, label) => [label, dirs.indexOf(dir)]));
+  const remap = indices => indices.filter(index => indexMap.has(index)).map(index => indexMap.get(index));
+
+  return {
+    files: loadedIndices.map(index => dataset.files[index]),
+    labels: loadedIndices.map(index => labelMap.get(dataset.labels[index])),
+    dirs: dirs,
+    trainIndices: remap(dataset.trainIndices),
+    validationIndices: remap(dataset.validationIndices),
+    indexMap: indexMap,
+  };
+}
+
+/**
+ * 学習設定から最適化手法を作成する関数
+ * @param {object} config 学習設定
+ * @returns {tf.Optimizer} 最適化手法
+ */
+function createOptimizer(config) {
+  switch (config.optimizer) {
+    case 'sgd':
+      return tf.train.sgd(config.learningRate);
+    case 'rmsprop':
+      return tf.train.rmsprop(config.learningRate);
+    default:
+      return tf.train.adam(config.learningRate);
+  }
+}
+
+// 早期終了で監視する指標名と fit のログのキーの対応
+const METRIC_LOG_KEYS = {
+  loss: 'loss',
+  accuracy: 'acc',
+  val_loss: 'val_loss',
+  val_accuracy: 'val_acc',
+};
+
+/**
+ * 早期終了の判定関数を作成する関数
+ * @param {object} settings 早期終了の設定 (学習設定の earlyStopping)
+ * @returns {function(object): boolean} エポックのログを受け取り、学習を打ち切るべきなら true を返す関数
+ */
+function createEarlyStopper(settings) {
+  const logKey = METRIC_LOG_KEYS[settings.monitor];
+  const lowerIsBetter = settings.monitor.endsWith('loss'); // 損失は小さいほど、精度は大きいほど良い
+  let best = null; // これまでの最良値
+  let wait = 0; // 改善がないまま経過したエポック数
+
+  return (logs) => {
+    const value = logs[logKey];
+    if (value === undefined) {
+      return false; // 指標が記録されていない場合は判定しない
+    }
+    const improvement = best === null ? Infinity : (lowerIsBetter ? best - value : value - best);
+    if (improvement > settings.minDelta) {
+      best = value;
+      wait = 0;
+      return false;
+    }
+    wait++;
+    return wait >= settings.patience;
+  };
+}
+
+/**
+ * エポックごとの進捗と指標を送信する関数
  * @param {object} socket Socket.IO のソケットオブジェクト (オプション)
- * @returns {Promise<void>} 学習完了後に解決される Promise
+ * @param {number} epoch エポック番号 (0 から, 交差検証・ファインチューニングでは学習全体で通算)
+ * @param {number} epochs 予定しているエポック数 (交差検証・ファインチューニングを含む)
+ * @param {number} startTime 学習の開始時刻 (ミリ秒)
+ * @param {object} logs fit と同じ形式のエポックのログ { loss, acc, val_loss, val_acc }
+ * @param {object} fold 交差検証中の分割 { index, count } (交差検証以外は null)
  */
-async function learnTransferModel(folderPath, socket = null) {
-  console.log('Loading images - this may take a while...'); // 処理状況を出力
-  if (socket) { socket.emit('log', 'loading images'); } // Socket.IO でログを送信 (オプション)
-  const [X, Y, dirs] = await folderToTensors(folderPath, [224, 224]); // フォルダ内の画像をテンソルに変換
+function emitEpochMetrics(socket, epoch, epochs, startTime, logs, fold = null) {
+  console.log(`epoch:${epoch} loss:${logs.loss} acc:${logs.acc} val_loss:${logs.val_loss} val_acc:${logs.val_acc}`); // エポックごとの損失と精度を出力
+  if (socket) {
+    socket.emit('updateProgress', Math.round((epoch + 1) / epochs * 100)); // Socket.IO で進捗状況 (%) を送信 (オプション)
+    // Socket.IO でエポックごとの指標を送信 (検証データがない場合 val_* は null)
+    socket.emit('trainMetrics', {
+      epoch: epoch,
+      epochs: epochs,
+      elapsedMs: Date.now() - startTime, // 学習開始からの経過時間
+      loss: logs.loss,
+      accuracy: logs.acc,
+      val_loss: logs.val_loss ?? null,
+      val_accuracy: logs.val_acc ?? null,
+      fold: fold, // 交差検証中の分割 { index, count } (交差検証以外は null)
+    });
+  }
+}
 
-  console.log('Loading model'); // 処理状況を出力
-  if (socket) { socket.emit('log', 'loading model'); } // Socket.IO でログを送信 (オプション)
+/**
+ * 学習の経過 (エポックごとの指標とログ) を記録しながらイベントを転送する送信オブジェクトを作成する関数
+ * @param {object} socket 転送先の Socket.IO のソケットオブジェクト (null の場合は記録だけ行う)
+ * @param {object} history 記録先 { startedAt, epochs: [], logs: [] }
+ * @param {number} startTime 学習の開始時刻 (ミリ秒)
+ * @returns {object} emit を持つ送信オブジェクト
+ */
+function createHistoryRecorder(socket, history, startTime) {
+  return {
+    emit: (event, payload) => {
+      if (event === 'log') {
+        history.logs.push({ elapsedMs: Date.now() - startTime, message: payload });
+      } else if (event === 'trainMetrics') {
+        history.epochs.push(payload);
+      }
+      if (socket) {
+        socket.emit(event, payload);
+      }
+    },
+  };
+}
 
-  // MobileNet v2 特徴量抽出モデルを読み込む
-  const featureModel = await tf.loadGraphModel('https://www.kaggle.com/models/google/mobilenet-v2/TfJs/140-224-feature-vector/3', { fromTFHub: true }); 
+/**
+ * 画像 1 枚から拡張した画像のプレビューを作成する関数
+ * @param {string} filePath 画像ファイルのパス
+ * @param {object} settings データ拡張の設定 (学習設定の augmentation)
+ * @param {object} preprocessing 前処理の仕様 (resolvePreprocessing の結果, 学習と同じ前処理をした画像を拡張する)
+ * @param {number} count 作成する枚数
+ * @returns {Promise<Array<string>>} PNG 画像の Data URL の配列
+ */
+async function previewAugmentation(filePath, settings, preprocessing, count) {
+  const image = await fileToTensor(filePath, preprocessing);
+  const variants = tf.tidy(() => augmentImages(image.expandDims(0), settings, count).mul(255).round().toInt());
+  image.dispose();
+  try {
+    const images = [];
+    for (const variant of tf.unstack(variants)) {
+      const png = await tf.node.encodePng(variant);
+      variant.dispose();
+      images.push(`data:image/png;base64,${Buffer.from(png).toString('base64')}`);
+    }
+    return images;
+  } finally {
+    variants.dispose();
+  }
+}
 
-  // 転移学習モデルを定義
-  const transferModel = tf.sequential({
-    layers: [
-      tf.layers.dense({
-        inputShape: [1792],
-        units: 64,
-        activation: 'relu',
-      }),
-      tf.layers.dense({ units: dirs.length, activation: 'softmax' }),
-    ],
+/**
+ * 画像を読み込み、バックボーンの入力と one-hot のラベルのテンソルを作成する関数 (ファインチューニング用)
+ * @param {string} dirPath フォルダのパス
+ * @param {Array<string>} files 画像パス (フォルダからの相対パス) の配列
+ * @param {Array<number>} labels ラベル (数値) の配列
+ * @param {Array<number>} indices 読み込む画像のインデックス
+ * @param {object} options オプション
+ * @param {object} options.preprocessing 前処理の仕様 (resolvePreprocessing の結果)
+ * @param {number} options.labelCount ラベルの数
+ * @param {object} options.augmentation データ拡張の設定 (拡張しない場合は null)
+ * @param {function(): number} options.random データ拡張に使う 0 以上 1 未満の乱数を返す関数 (オプション)
+ * @returns {Promise<{xs: tf.Tensor4D, ys: tf.Tensor2D}>} 画像テンソルとラベルのテンソル
+ */
+async function loadImageBatch(dirPath, files, labels, indices, options) {
+  const images = [];
+  try {
+    for (const index of indices) {
+      images.push(await fileToTensor(path.join(dirPath, files[index]), options.preprocessing));
+    }
+    return tf.tidy(() => {
+      // データ拡張が有効な場合は、エポックごとに 1 枚ずつランダムに変換した画像で学習する
+      const xs = options.augmentation
+        ? tf.concat(images.map(image => augmentImage(image.expandDims(0), options.augmentation, options.random || Math.random)))
+        : tf.stack(images);
+      return {
+        xs: normalizeImages(xs, options.preprocessing.normalization),
+        ys: tf.oneHot(tf.tensor1d(indices.map(index => labels[index]), 'int32'), options.labelCount),
+      };
+    });
+  } finally {
+    tf.dispose(images);
+  }
+}
+
+/**
+ * 画像を少しずつ読み込んでモデルで予測し、損失と予測ラベルを計算する関数 (ファインチューニングの検証用)
+ * @param {tf.LayersModel} model 画像を入力とするモデル
+ * @param {string} dirPath フォルダのパス
+ * @param {Array<string>} files 画像パス (フォルダからの相対パス) の配列
+ * @param {Array<number>} labels ラベル (数値) の配列
+ * @param {Array<number>} indices 予測する画像のインデックス
+ * @param {object} options loadImageBatch と同じオプション (augmentation は使わない)
+ * @returns {Promise<{loss: number, accuracy: number, predictedLabels: Array<number>}>} 平均の損失・正解率・予測ラベル
+ */
+async function predictImages(model, dirPath, files, labels, indices, options) {
+  let lossSum = 0;
+  const predictedLabels = [];
+  for (let start = 0; start < indices.length; start += EXTRACT_BATCH_SIZE) {
+    const { xs, ys } = await loadImageBatch(dirPath, files, labels, indices.slice(start, start + EXTRACT_BATCH_SIZE), { ...options, augmentation: null });
+    const [loss, predicted] = tf.tidy(() => {
+      const probabilities = model.predict(xs);
+      const loss = ys.mul(probabilities.clipByValue(1e-7, 1).log()).sum().neg(); // バッチの交差エントロピーの合計
+      return [loss, probabilities.argMax(-1)];
+    });
+    lossSum += (await loss.data())[0];
+    predictedLabels.push(...await predicted.data());
+    tf.dispose([xs, ys, loss, predicted]);
+  }
+  const correct = predictedLabels.filter((label, i) => label === labels[indices[i]]).length;
+  return {
+    loss: lossSum / indices.length,
+    accuracy: correct / indices.length,
+    predictedLabels: predictedLabels,
+  };
+}
+
+/**
+ * バックボーンの上位の層と学習済みの転移学習モデルをつなげ、画像から直接学習する関数 (ファインチューニング)
+ * 学習するのはバックボーンの最後の fineTune.layers 層 (BatchNormalization を除く) と転移学習モデルで、
+ * 学習済みの重みを大きく崩さないように fineTune.learningRate (通常の学習率より小さい値) で学習する
+ * @param {tf.LayersModel} layersBackbone バックボーンのレイヤーモデル
+ * @param {tf.LayersModel} headModel 特徴量で学習済みの転移学習モデル
+ * @param {object} params 学習のパラメータ
+ * @param {string} params.dirPath フォルダのパス
+ * @param {Array<string>} params.files 画像パス (フォルダからの相対パス) の配列
+ * @param {Array<number>} params.labels ラベル (数値) の配列
+ * @param {Array<string>} params.labelNames ラベル名の配列
+ * @param {Array<number>} params.trainIndices 学習用の画像のインデックス
+ * @param {Array<number>} params.validationIndices 検証用の画像のインデックス
+ * @param {object} params.imageOptions loadImageBatch のオプション (augmentation を除く)
+ * @param {object} params.config 学習設定
+ * @param {number} params.epochOffset 特徴量の学習で完了したエポック数 (エポック番号を通算にする)
+ * @param {number} params.startTime 学習の開始時刻 (ミリ秒)
+ * @param {AbortSignal} params.signal 中断するためのシグナル (オプション)
+ * @param {function(): number} params.random シャッフル・データ拡張・サンプルの選び直しに使う 0 以上 1 未満の乱数を返す関数
+ * @param {object} socket Socket.IO のソケットオブジェクト (オプション)
+ * @returns {Promise<object>} { model: 画像を入力とする学習済みモデル, stopReason, epochsRun, predictedLabels: 検証用の画像の予測ラベル (検証しない場合は null) }
+ */
+async function fineTuneBackbone(layersBackbone, headModel, params, socket) {
+  const { config, signal } = params;
+  const settings = config.fineTune;
+
+  // バックボーンの出力の次元数が特徴量の次元数と一致することを確認
+  const outputDim = layersBackbone.outputs[0].shape[layersBackbone.outputs[0].shape.length - 1];
+  if (layersBackbone.outputs[0].shape.length !== 2 || outputDim !== headModel.inputs[0].shape[1]) {
+    throw createTrainError('BACKBONE_INCOMPATIBLE', `バックボーンのレイヤーモデルの出力 (${layersBackbone.outputs[0].shape}) が特徴量の次元数 (${headModel.inputs[0].shape[1]}) と一致しません`);
+  }
+
+  // 最後の fineTune.layers 層だけを学習する (BatchNormalization は統計量が崩れないように固定する)
+  const firstTrainable = Math.max(0, layersBackbone.layers.length - settings.layers);
+  layersBackbone.layers.forEach((layer, index) => {
+    layer.trainable = index >= firstTrainable && layer.getClassName() !== 'BatchNormalization';
   });
+  const model = tf.model({ inputs: layersBackbone.inputs, outputs: headModel.apply(layersBackbone.outputs[0]) });
+  model.compile({
+    optimizer: createOptimizer({ ...config, learningRate: settings.learningRate }),
+    loss: 'categoricalCrossentropy',
+    metrics: ['accuracy'],
+  });
+
+  const shouldStopEarly = config.earlyStopping.enabled && (params.validationIndices.length > 0 || !config.earlyStopping.monitor.startsWith('val_'))
+    ? createEarlyStopper(config.earlyStopping)
+    : null;
+  const epochs = params.epochOffset + settings.epochs; // 通算の予定エポック数
+  const augmentation = config.augmentation.enabled ? config.augmentation : null;
+
+  // ラベルごとの画像の枚数の偏りを補正 (選び直した画像の一覧は全エポックで使う)
+  const balance = balanceClasses(params.trainIndices.map(index => params.labels[index]), params.labelNames, config.classBalance, params.random);
+  const trainIndices = balance.rows ? balance.rows.map(row => params.trainIndices[row]) : params.trainIndices;
+  let stopReason = 'completed';
+  let epochsRun = 0;
+  let predictedLabels = null;
+
+  for (let epoch = 0; epoch < settings.epochs && stopReason === 'completed'; epoch++) {
+    // 学習用の画像をエポックごとにシャッフルし、バッチサイズずつ読み込んで学習
+    const order = trainIndices.slice();
+    shuffleInPlace(order, params.random);
+    let lossSum = 0;
+    let accSum = 0;
+    for (let start = 0; start < order.length; start += config.batchSize) {
+      if (signal && signal.aborted) {
+        return { model, stopReason: 'cancelled', epochsRun, predictedLabels: null };
+      }
+      const batch = order.slice(start, start + config.batchSize);
+      const { xs, ys } = await loadImageBatch(params.dirPath, params.files, params.labels, batch, { ...params.imageOptions, augmentation, random: params.random });
+      try {
+        // classWeight を使えるように、読み込んだバッチを 1 エポックだけ fit で学習する
+        const { history } = await model.fit(xs, ys, {
+          epochs: 1,
+          batchSize: batch.length,
+          classWeight: balance.classWeight || undefined,
+          verbose: 0,
+        });
+        lossSum += history.loss[0] * batch.length;
+        accSum += history.acc[0] * batch.length;
+      } finally {
+        tf.dispose([xs, ys]);
+      }
+    }
+
+    const logs = { loss: lossSum / order.length, acc: accSum / order.length };
+    if (params.validationIndices.length > 0) {
+      const validation = await predictImages(model, params.dirPath, params.files, params.labels, params.validationIndices, params.imageOptions);
+      logs.val_loss = validation.loss;
+      logs.val_acc = validation.accuracy;
+      predictedLabels = validation.predictedLabels;
+    }
+    epochsRun = epoch + 1;
+    emitEpochMetrics(socket, params.epochOffset + epoch, epochs, params.startTime, logs);
 
-  console.log('Creating features from images - this may take a while...'); // 処理状況を出力
-  if (socket) { socket.emit('log', 'creating features'); } // Socket.IO でログを送信 (オプション)
+    // 中断が要求されたか、改善が止まった場合は学習を打ち切る
+    if (signal && signal.aborted) {
+      stopReason = 'cancelled';
+    } else if (shouldStopEarly && shouldStopEarly(logs)) {
+      stopReason = 'earlyStopped';
+      console.log(`fine-tuning early stopped at epoch ${params.epochOffset + epoch}`); // 早期終了を出力
+      if (socket) { socket.emit('log', `fine-tuning early stopped: ${config.earlyStopping.monitor} did not improve for ${config.earlyStopping.patience} epochs`); } // Socket.IO でログを送信 (オプション)
+    }
+  }
+
+  return { model, stopReason, epochsRun, predictedLabels };
+}
+
+/**
+ * 特徴量を入力とする学習用のデータを組み立てる関数
+ * 学習用の画像の特徴量に、その画像から拡張した画像の特徴量を加え、ラベルごとのサンプル数の偏りを補正する
+ * @param {tf.Tensor2D} featureX 画像ごとの特徴量
+ * @param {tf.Tensor2D} Y 画像ごとのラベル (one-hot)
+ * @param {object} params 学習用のデータの情報
+ * @param {Array<number>} params.labels 画像ごとのラベル (数値) の配列
+ * @param {Array<string>} params.labelNames ラベル名の配列
+ * @param {Array<number>} params.trainIndices 学習用の画像のインデックス
+ * @param {tf.Tensor2D} params.augmentedFeatures 拡張した画像の特徴量 (拡張しない場合は null)
+ * @param {Array<number>} params.augmentedSourceIndices 拡張した画像ごとの元の画像のインデックス
+ * @param {string} params.classBalance サンプル数の偏りの補正の方法
+ * @param {function(): number} params.random サンプルの選び直しに使う 0 以上 1 未満の乱数を返す関数
+ * @param {Array<tf.Tensor>} tensors 作成したテンソルを追加する配列 (呼び出し元で解放する)
+ * @returns {{trainX: tf.Tensor2D, trainY: tf.Tensor2D, balance: object}} 学習用の特徴量とラベル、balanceClasses の結果
+ */
+function buildTrainingSet(featureX, Y, params, tensors) {
+  let trainX = tf.gather(featureX, params.trainIndices);
+  let trainY = tf.gather(Y, params.trainIndices);
+  tensors.push(trainX, trainY);
 
-  const featureX = featureModel.predict(X); // 特徴量抽出モデルで特徴量を抽出
-  console.log(`Features stack ${featureX.shape}`); // 特徴量テンソルの形状を出力
-  if (socket) { socket.emit('log', `Features stack ${featureX.shape}`); } // Socket.IO でログを送信 (オプション)
+  // 学習用の画像から拡張した画像だけを加える (交差検証では分割ごとに学習用の画像が変わる)
+  const trainIndexSet = new Set(params.trainIndices);
+  const augmentedRows = params.augmentedSourceIndices
+    .map((index, row) => row)
+    .filter(row => trainIndexSet.has(params.augmentedSourceIndices[row]));
+  const augmentedSourceIndices = augmentedRows.map(row => params.augmentedSourceIndices[row]);
+  if (params.augmentedFeatures && augmentedRows.length > 0) {
+    const augmentedX = tf.gather(params.augmentedFeatures, augmentedRows);
+    const augmentedY = tf.gather(Y, augmentedSourceIndices);
+    trainX = tf.concat([trainX, augmentedX]);
+    trainY = tf.concat([trainY, augmentedY]);
+    tensors.push(augmentedX, augmentedY, trainX, trainY);
+  }
+
+  // ラベルごとのサンプル数 (拡張した画像を含む) の偏りを補正
+  const balance = balanceClasses(
+    [...params.trainIndices, ...augmentedSourceIndices].map(index => params.labels[index]),
+    params.labelNames,
+    params.classBalance,
+    params.random
+  );
+  if (balance.rows) {
+    trainX = tf.gather(trainX, balance.rows);
+    trainY = tf.gather(trainY, balance.rows);
+    tensors.push(trainX, trainY);
+  }
+  return { trainX, trainY, balance };
+}
+
+/**
+ * 特徴量を入力とする転移学習モデル (ヘッド) を作成してコンパイルする関数
+ * @param {number} featureDim バックボーンの特徴量の次元数
+ * @param {number} labelCount ラベルの数 (出力ユニット数)
+ * @param {object} config 学習設定
+ * @param {function(): number} random 重みの初期値のシード値に使う 0 以上 1 未満の乱数を返す関数
+ * @returns {tf.Sequential} コンパイル済みのモデル
+ */
+function createHeadModel(featureDim, labelCount, config, random) {
+  // 転移学習モデルを定義 (重みの初期値もシード値から決める)
+  const model = tf.sequential();
+  model.add(tf.layers.dense({
+    inputShape: [featureDim], // バックボーンの特徴量の次元数
+    units: config.hiddenUnits,
+    activation: 'relu',
+    kernelInitializer: tf.initializers.glorotUniform({ seed: nextSeed(random) }),
+  }));
+  if (config.dropout > 0) {
+    model.add(tf.layers.dropout({ rate: config.dropout, seed: nextSeed(random) })); // 学習時だけ中間層の出力をランダムに 0 にする
+  }
+  model.add(tf.layers.dense({
+    units: labelCount,
+    activation: 'softmax',
+    kernelInitializer: tf.initializers.glorotUniform({ seed: nextSeed(random) }),
+  }));
 
   // 転移学習モデルをコンパイル
-  transferModel.compile({
-    optimizer: tf.train.adam(),
+  model.compile({
+    optimizer: createOptimizer(config),
     loss: 'categoricalCrossentropy',
     metrics: ['accuracy'],
   });
+  return model;
+}
+
+/**
+ * 続きから学習する元のバージョン (特徴量を入力とするモデル) を読み込む関数
+ * 元のバージョンとバックボーンが異なる場合や、画像を入力とするモデル (ファインチューニング済み) の場合はエラーにする
+ * @param {string} projectName プロジェクト名
+ * @param {number} version 元のバージョン番号
+ * @param {string} backbone 使用するバックボーン名
+ * @returns {Promise<{meta: object, model: tf.LayersModel, manifest: object}>} 元のバージョンの meta 情報・モデル・マニフェスト (マニフェストがない場合は null)
+ */
+async function loadParentVersion(projectName, version, backbone) {
+  const meta = await getModelVersion(projectName, version);
+  if (!meta) {
+    throw createTrainError('PARENT_NOT_FOUND', `元にするモデル v${version} が見つかりません`);
+  }
+  if (meta.trainingMode !== 'features') {
+    throw createTrainError('PARENT_INCOMPATIBLE', `v${version} はファインチューニングしたモデルのため、続きから学習できません`);
+  }
+  if (meta.backbone !== backbone) {
+    throw createTrainError('PARENT_INCOMPATIBLE', `v${version} のバックボーン (${meta.backbone}) と使用するバックボーン (${backbone}) が異なります`);
+  }
+  const model = await tf.loadLayersModel(`file://${path.join(getVersionDir(projectName, version), 'model.json')}`);
+  const manifest = await getModelManifest(projectName, version);
+  return { meta, model, manifest };
+}
+
+/**
+ * 元のバージョンのモデルの重みを新しいモデルの初期値にする関数
+ * 中間層の重みはそのまま引き継ぎ、出力層はラベル名で対応付けて、元のバージョンにあったラベルの重みを引き継ぐ
+ * (新しいラベルの出力ユニットは新しいモデルの初期値のまま、元のバージョンにしかないラベルの出力ユニットは除く)
+ * @param {tf.LayersModel} model 初期値を設定するモデル (createHeadModel で作成したモデル)
+ * @param {tf.LayersModel} parentModel 元のバージョンのモデル
+ * @param {Array<string>} parentLabels 元のバージョンの出力ユニット順のラベル名
+ * @param {Array<string>} labelNames 新しいモデルの出力ユニット順のラベル名
+ * @returns {{kept: Array<string>, added: Array<string>, removed: Array<string>}} 重みを引き継いだ・追加した・除いたラベル名
+ */
+function inheritHeadWeights(model, parentModel, parentLabels, labelNames) {
+  const denseLayers = target => target.layers.filter(layer => layer.getClassName() === 'Dense');
+  const [hidden, output] = denseLayers(model);
+  const [parentHidden, parentOutput] = denseLayers(parentModel);
+  const shape = hidden.getWeights()[0].shape;
+  const parentShape = parentHidden.getWeights()[0].shape;
+  if (shape.join('x') !== parentShape.join('x')) {
+    throw createTrainError('PARENT_INCOMPATIBLE', `元のモデルと中間層の形状が異なります (元のモデル ${parentShape.join('x')} / 新しいモデル ${shape.join('x')})`);
+  }
+
+  // 新しいモデルの出力層の重みの後ろに元のモデルの重みを並べ、ラベルごとにどちらの列を使うかを選ぶ
+  const [kernel, bias] = output.getWeights();
+  const [parentKernel, parentBias] = parentOutput.getWeights();
+  const columns = labelNames.map((label, index) => {
+    const parentIndex = parentLabels.indexOf(label);
+    return parentIndex >= 0 ? labelNames.length + parentIndex : index;
+  });
+  const inherited = tf.tidy(() => [
+    tf.gather(tf.concat([kernel, parentKernel], 1), columns, 1),
+    tf.gather(tf.concat([bias, parentBias]), columns),
+  ]);
+  hidden.setWeights(parentHidden.getWeights());
+  output.setWeights(inherited);
+  tf.dispose(inherited);
+
+  return {
+    kept: labelNames.filter(label => parentLabels.includes(label)),
+    added: labelNames.filter(label => !parentLabels.includes(label)),
+    removed: parentLabels.filter(label => !labelNames.includes(label)),
+  };
+}
+
+/**
+ * 元のバージョンで学習用・検証用にした画像は同じ側に分ける関数
+ * 元のモデルが学習した画像が検証用に入ると検証の指標が良く見えるため、元のバージョンのマニフェストにある画像はその分割に従い、
+ * 新しく追加された画像だけを stratifiedSplit の結果に従って分ける
+ * @param {{trainIndices: Array<number>, validationIndices: Array<number>}} split stratifiedSplit の結果
+ * @param {Array<string>} files 画像パスの配列
+ * @param {object} manifest 元のバージョンのマニフェスト
+ * @returns {{trainIndices: Array<number>, validationIndices: Array<number>}} 分割結果
+ */
+function keepParentSplit(split, files, manifest) {
+  const parentSplits = new Map(manifest.images.map(image => [image.path, image.split]));
+  const validation = new Set(split.validationIndices);
+  const trainIndices = [];
+  const validationIndices = [];
+  files.forEach((file, index) => {
+    const isValidation = parentSplits.has(file) ? parentSplits.get(file) === 'validation' : validation.has(index);
+    (isValidation ? validationIndices : trainIndices).push(index);
+  });
+  return { trainIndices, validationIndices };
+}
+
+/**
+ * 特徴量を入力とする転移学習モデルを学習する関数
+ * 学習データはエポックごとにシード値からシャッフルし、中断の要求と早期終了はエポックの終了時に確認する
+ * @param {tf.LayersModel} model 学習するモデル
+ * @param {tf.Tensor2D} trainX 学習用の特徴量
+ * @param {tf.Tensor2D} trainY 学習用のラベル (one-hot)
+ * @param {Array<tf.Tensor>} validationData 検証用の [特徴量, ラベル] (検証しない場合は undefined)
+ * @param {object} options 学習のオプション
+ * @param {object} options.config 学習設定
+ * @param {object} options.classWeight ラベルごとの重み (使わない場合は null)
+ * @param {function(): number} options.random シャッフルのシード値に使う 0 以上 1 未満の乱数を返す関数
+ * @param {AbortSignal} options.signal 中断するためのシグナル (オプション)
+ * @param {number} options.epochOffset このモデルの前に学習全体で予定していたエポック数 (エポック番号を通算にする)
+ * @param {number} options.plannedEpochs 学習全体で予定しているエポック数 (進捗 (%) の計算に使う)
+ * @param {number} options.startTime 学習の開始時刻 (ミリ秒)
+ * @param {object} options.fold 交差検証中の分割 { index, count } (交差検証以外は null)
+ * @param {object} socket Socket.IO のソケットオブジェクト (オプション)
+ * @returns {Promise<{stopReason: string, epochsRun: number, logs: object}>} 終了した理由、完了したエポック数と最後のエポックのログ
+ */
+async function fitHeadModel(model, trainX, trainY, validationData, options, socket) {
+  const { config, signal } = options;
+
+  // 早期終了の判定関数を作成 (検証データがないのに検証指標を監視する設定の場合は無効)
+  let shouldStopEarly = null;
+  if (config.earlyStopping.enabled) {
+    if (!validationData && config.earlyStopping.monitor.startsWith('val_')) {
+      console.log('early stopping disabled: no validation data'); // 早期終了を無効にしたことを出力
+      if (socket) { socket.emit('log', `early stopping disabled: ${config.earlyStopping.monitor} needs validation data`); } // Socket.IO でログを送信 (オプション)
+    } else {
+      shouldStopEarly = createEarlyStopper(config.earlyStopping);
+    }
+  }
 
-  // モデルの評価
-  console.log(transferModel.evaluate(featureX, Y)[1].dataSync());
+  let stopReason = 'completed'; // 学習が終了した理由
+  let epochsRun = 0; // 完了したエポック数
+  let lastLogs = null; // 最後のエポックのログ
 
-  // 転移学習モデルを学習
-  const history = await transferModel.fit(featureX, Y, {
-    epochs: 100, // 学習エポック数
+  // 学習データをエポックごとにシャッフルしてバッチに分けるデータセット
+  // (fit のシャッフルはシード値を指定できないため、シード値を指定できる tf.data でシャッフルする)
+  const trainRows = Array.from({ length: trainX.shape[0] }, (_, row) => row);
+  const trainDataset = tf.data.array(trainRows)
+    .shuffle(trainRows.length, String(nextSeed(options.random)))
+    .batch(config.batchSize)
+    .map(rows => tf.tidy(() => {
+      const indices = rows.toInt();
+      return { xs: tf.gather(trainX, indices), ys: tf.gather(trainY, indices) };
+    }));
+
+  await model.fitDataset(trainDataset, {
+    epochs: config.epochs, // 学習エポック数
+    classWeight: options.classWeight || undefined, // ラベルごとの重み (classWeight で補正する場合)
+    validationData: validationData, // 検証データ
     callbacks: {
       onEpochEnd: async (epoch, logs) => {
-        // if (false) {
-        //   model.stopTraining = true
-        // }
-        console.log(`epoch:${epoch} acc:${logs.acc}`); // エポックごとの精度を出力
-        if (socket) { socket.emit('updateProgress', epoch); } // Socket.IO で進捗状況を送信 (オプション)
+        epochsRun = epoch + 1;
+        lastLogs = logs;
+        emitEpochMetrics(socket, options.epochOffset + epoch, options.plannedEpochs, options.startTime, logs, options.fold);
+
+        // 中断が要求されたか、改善が止まった場合は学習を打ち切る
+        if (signal && signal.aborted) {
+          stopReason = 'cancelled';
+          model.stopTraining = true;
+        } else if (shouldStopEarly && shouldStopEarly(logs)) {
+          stopReason = 'earlyStopped';
+          model.stopTraining = true;
+          console.log(`early stopped at epoch ${options.epochOffset + epoch}`); // 早期終了を出力
+          if (socket) { socket.emit('log', `early stopped: ${config.earlyStopping.monitor} did not improve for ${config.earlyStopping.patience} epochs`); } // Socket.IO でログを送信 (オプション)
+        }
       },
     },
-    verbose: false, // 学習ログの表示を抑制
+    verbose: 0, // 学習ログの表示を抑制
+  });
+
+  return { stopReason, epochsRun, logs: lastLogs };
+}
+
+/**
+ * 抽出済みの特徴量で層化 k 分割交差検証を行う関数
+ * 分割ごとに新しいモデルを学習して検証用の画像を予測し、分割ごとの評価結果から平均と標準偏差を計算する
+ * @param {tf.Tensor2D} featureX 画像ごとの特徴量
+ * @param {tf.Tensor2D} Y 画像ごとのラベル (one-hot)
+ * @param {object} params 交差検証の情報
+ * @param {Array<string>} params.files 画像パスの配列
+ * @param {Array<number>} params.labels 画像ごとのラベル (数値) の配列
+ * @param {Array<string>} params.labelNames ラベル名の配列
+ * @param {tf.Tensor2D} params.augmentedFeatures 拡張した画像の特徴量 (拡張しない場合は null)
+ * @param {Array<number>} params.augmentedSourceIndices 拡張した画像ごとの元の画像のインデックス
+ * @param {number} params.featureDim バックボーンの特徴量の次元数
+ * @param {object} params.config 学習設定
+ * @param {number} params.plannedEpochs 学習全体で予定しているエポック数
+ * @param {number} params.startTime 学習の開始時刻 (ミリ秒)
+ * @param {AbortSignal} params.signal 中断するためのシグナル (オプション)
+ * @param {function(): number} params.random 0 以上 1 未満の乱数を返す関数
+ * @param {object} socket Socket.IO のソケットオブジェクト (オプション)
+ * @returns {Promise<object>} { stopReason, epochsRun, summary: summarizeCrossValidation の結果, evaluation: 全分割の検証結果をまとめた評価結果 }
+ *   中断した場合は stopReason が 'cancelled' で summary と evaluation は null
+ */
+async function crossValidate(featureX, Y, params, socket) {
+  const { config, labels, labelNames } = params;
+  const folds = stratifiedKFold(labels, config.crossValidation.folds);
+  const predictedLabels = new Array(labels.length); // 画像ごとの、その画像を検証用にした分割での予測ラベル
+  const foldEvaluations = [];
+  let epochsRun = 0;
+
+  for (let index = 0; index < folds.length; index++) {
+    const { trainIndices, validationIndices } = folds[index];
+    console.log(`fold ${index + 1}/${folds.length}`); // 処理状況を出力
+    if (socket) { socket.emit('log', `fold ${index + 1}/${folds.length}: train ${trainIndices.length} / validation ${validationIndices.length}`); } // Socket.IO でログを送信 (オプション)
+
+    const tensors = []; // 分割ごとに解放するテンソル
+    let model = null;
+    try {
+      const { trainX, trainY, balance } = buildTrainingSet(featureX, Y, {
+        labels: labels,
+        labelNames: labelNames,
+        trainIndices: trainIndices,
+        augmentedFeatures: params.augmentedFeatures,
+        augmentedSourceIndices: params.augmentedSourceIndices,
+        classBalance: config.classBalance,
+        random: params.random,
+      }, tensors);
+      const validationX = tf.gather(featureX, validationIndices);
+      const validationData = [validationX, tf.gather(Y, validationIndices)];
+      tensors.push(validationData);
+
+      model = createHeadModel(params.featureDim, labelNames.length, config, params.random);
+      const fitted = await fitHeadModel(model, trainX, trainY, validationData, {
+        config: config,
+        classWeight: balance.classWeight,
+        random: params.random,
+        signal: params.signal,
+        epochOffset: index * config.epochs, // 早期終了しても分割ごとに予定のエポック数ずつ進める
+        plannedEpochs: params.plannedEpochs,
+        startTime: params.startTime,
+        fold: { index: index, count: folds.length },
+      }, socket);
+      epochsRun += fitted.epochsRun;
+      if (fitted.stopReason === 'cancelled') {
+        return { stopReason: 'cancelled', epochsRun, summary: null, evaluation: null };
+      }
+
+      const predicted = tf.tidy(() => model.predict(validationX).argMax(-1));
+      const foldPredictedLabels = Array.from(await predicted.data());
+      predicted.dispose();
+      foldPredictedLabels.forEach((label, row) => {
+        predictedLabels[validationIndices[row]] = label;
+      });
+      const evaluation = computeEvaluation(
+        labelNames,
+        validationIndices.map(i => labels[i]),
+        foldPredictedLabels,
+        validationIndices.map(i => params.files[i])
+      );
+      foldEvaluations.push(evaluation);
+      console.log(`fold ${index + 1} accuracy:${evaluation.accuracy}`); // 分割ごとの正解率を出力
+      if (socket) { socket.emit('log', `fold ${index + 1}/${folds.length}: accuracy ${(evaluation.accuracy * 100).toFixed(1)}%, macro F1 ${evaluation.macroAverage.f1.toFixed(3)}`); } // Socket.IO でログを送信 (オプション)
+    } finally {
+      tf.dispose(tensors);
+      if (model) {
+        model.dispose();
+      }
+    }
+  }
+
+  // どの画像もいずれか 1 つの分割でだけ検証用になるので、全分割の予測をまとめて 1 つの混同行列にする
+  const evaluation = computeEvaluation(labelNames, labels, predictedLabels, params.files);
+  return { stopReason: 'completed', epochsRun, summary: summarizeCrossValidation(foldEvaluations), evaluation };
+}
+
+/**
+ * 学習に使った画像と条件の一覧 (マニフェスト) を作成する関数
+ * 同じ画像 (ハッシュで確認) と同じ条件で学習し直せば同じモデルが得られるように、再現に必要な情報をすべて記録する
+ * @param {object} run 学習の情報
+ * @param {number} run.seed 使用したシード値
+ * @param {object} run.config 学習設定
+ * @param {object} run.backboneSpec バックボーンのレジストリの情報
+ * @param {object} run.preprocessing 前処理の仕様
+ * @param {Array<string>} run.dirs ラベル名の配列
+ * @param {Array<string>} run.files 画像パス (フォルダからの相対パス) の配列
+ * @param {Array<number>} run.labels ラベル (数値) の配列
+ * @param {Array<string>} run.hashes 画像のハッシュの配列
+ * @param {Array<number>} run.validationIndices 検証用の画像のインデックス
+ * @param {Array<object>} run.skipped スキップした画像 { file, reason } の配列
+ * @returns {object} マニフェスト
+ */
+function createManifest(run) {
+  const validation = new Set(run.validationIndices);
+  return {
+    createdAt: new Date().toISOString(),
+    seed: run.seed,
+    config: run.config,
+    backbone: {
+      name: run.backboneSpec.name,
+      inputSize: run.backboneSpec.inputSize,
+      featureDim: run.backboneSpec.featureDim,
+      normalization: run.backboneSpec.normalization,
+    },
+    preprocessing: run.preprocessing,
+    versions: {
+      node: process.version,
+      ...tf.version, // TensorFlow.js の各パッケージのバージョン
+    },
+    labels: run.dirs,
+    images: run.files.map((file, index) => ({
+      path: file,
+      label: run.dirs[run.labels[index]],
+      hash: run.hashes[index], // 画像の内容の SHA-256
+      split: validation.has(index) ? 'validation' : 'train',
+    })),
+    skipped: run.skipped,
+  };
+}
+
+/**
+ * 学習が中断されたことを通知し、学習結果を返す関数
+ * @param {object} socket Socket.IO のソケットオブジェクト (オプション)
+ * @param {number} epochsRun 完了したエポック数
+ * @returns {object} 中断時の学習結果
+ */
+function reportCancelled(socket, epochsRun) {
+  console.log('cancelled'); // 中断を出力
+  const result = { stopReason: 'cancelled', epochsRun: epochsRun, modelVersion: null };
+  if (socket) {
+    socket.emit('log', 'cancelled'); // Socket.IO でログを送信 (オプション)
+    socket.emit('learnCompleted', result); // 学習終了イベントを送信
+  }
+  return result;
+}
+
+/**
+ * 転移学習を用いてモデルを学習する関数
+ * @param {string} folderPath 学習データのフォルダパス
+ * @param {object} socket Socket.IO のソケットオブジェクト (オプション)
+ * @param {object} options 追加オプション
+ * @param {string} options.projectName モデルの保存先プロジェクト名 (省略時はフォルダ名)
+ * @param {string} options.backbone 使用するバックボーン名 (省略時は設定の defaultBackbone)
+ * @param {object} options.config 検証済みの学習設定 (省略時は既定値)
+ * @param {AbortSignal} options.signal 学習を中断するためのシグナル (オプション)
+ * @param {number} options.parentVersion 続きから学習する元のバージョン番号 (オプション, 特徴量を入力とするモデルのみ)
+ *   元のバージョンの重みを初期値にし、元のバージョンの学習用・検証用の分割を引き継ぐ (交差検証とは同時に使えない)
+ * @param {boolean} options.sweepTrial スイープの試行を学習し直す場合は true (runSweep と同じく、一覧・データ拡張・学習の段階ごとに
+ *   シード値から新しい乱数列を作り、試行と同じ特徴量・初期値・順序で学習する。学習設定は特徴量だけの学習で、交差検証なしにする)
+ * @param {function(string): void} options.onPhase 処理段階 ('loading' / 'extracting' / 'crossValidating' / 'training' / 'fineTuning') が変わったときに呼ばれる関数 (オプション)
+ * @returns {Promise<object>} 学習結果 { stopReason, epochsRun, modelVersion } を返す Promise
+ *   stopReason は 'completed' (全エポック完了) / 'earlyStopped' (早期終了) / 'cancelled' (中断)
+ *   ファインチューニングを行った場合、stopReason はファインチューニングの終了理由、epochsRun は通算のエポック数
+ */
+async function learnTransferModel(folderPath, socket = null, options = {}) {
+  const projectName = options.projectName || path.basename(folderPath);
+  const backbone = options.backbone || backboneConfig.defaultBackbone;
+  const config = options.config || DEFAULT_TRAIN_CONFIG;
+  const signal = options.signal;
+  const parentVersion = options.parentVersion || null;
+  const onPhase = options.onPhase || (() => {});
+  const backboneSpec = getBackboneSpec(backbone, config.inputSize); // バックボーンの入力サイズ・特徴量の次元数・正規化の方法
+  const preprocessing = resolvePreprocessing(config.preprocessing, backboneSpec); // 学習・検証で共通の前処理 (モデルと一緒に保存する)
+  const inputSize = preprocessing.inputSize; // 入力画像のサイズ
+
+  // 学習の経過を記録 (モデルと一緒に保存し、完了後に再生できるようにする)
+  const startTime = Date.now();
+  const history = { startedAt: new Date(startTime).toISOString(), finishedAt: null, epochs: [], logs: [] };
+  socket = createHistoryRecorder(socket, history, startTime); // 以降のイベントは記録してから送信する
+
+  console.log('Loading model'); // 処理状況を出力
+  if (socket) { socket.emit('log', 'loading model'); } // Socket.IO でログを送信 (オプション)
+
+  // ローカルのモデルストアから特徴量抽出モデルを読み込む (2 回目以降はメモリ上のモデルを再利用)
+  // バックボーンが登録されていない場合は画像を読み込む前にエラーにする
+  const featureModel = await loadBackbone(backbone);
+  const fineTuning = config.trainingMode === 'fineTune';
+
+  // シャッフル・分割・データ拡張・重みの初期化の乱数はすべてシード値から作る (シード値は学習結果に記録する)
+  const seed = config.seed ?? createSeed();
+  const random = createRandom(seed);
+  // 段階ごとに使う乱数列 (通常は 1 つの乱数列を続けて使い、スイープの試行を学習し直す場合は段階ごとにシード値から作り直す)
+  const stageRandom = options.sweepTrial ? () => createRandom(seed) : () => random;
+  console.log(`seed:${seed}`); // シード値を出力
+  if (socket) {
+    socket.emit('log', `seed ${seed}`); // Socket.IO でログを送信 (オプション)
+    socket.emit('log', `preprocessing ${getPreprocessingId(preprocessing)} ${inputSize.join('x')}`); // Socket.IO でログを送信 (オプション)
+  }
+
+  const tensors = []; // 学習終了時に解放するテンソル
+  let transferModel = null;
+  let layersBackbone = null;
+  let fineTuneModel = null;
+  let parent = null;
+  try {
+    // ファインチューニングを行う場合は、レイヤーモデルがないときに画像を読み込む前にエラーにする
+    if (fineTuning) {
+      layersBackbone = await loadLayersBackbone(backbone);
+    }
+    // 続きから学習する場合は、元のバージョンを使えないときに画像を読み込む前にエラーにする
+    if (parentVersion) {
+      if (config.crossValidation.enabled) {
+        throw createTrainError('INVALID_CONFIG', '交差検証と続きからの学習は同時に行えません');
+      }
+      parent = await loadParentVersion(projectName, parentVersion, backbone);
+      console.log(`Continuing from v${parentVersion}`); // 処理状況を出力
+      if (socket) { socket.emit('log', `continuing from v${parentVersion} (${parent.meta.labels.length} labels)`); } // Socket.IO でログを送信 (オプション)
+      // 前処理が異なると特徴量が変わるため、引き継いだ重みが合わなくなる (学習は続ける)
+      if (parent.meta.preprocessing && getPreprocessingId(parent.meta.preprocessing) !== getPreprocessingId(preprocessing) && socket) {
+        socket.emit('log', `warning: preprocessing differs from v${parentVersion} (${getPreprocessingId(parent.meta.preprocessing)} → ${getPreprocessingId(preprocessing)})`); // Socket.IO でログを送信 (オプション)
+      }
+    }
+
+    onPhase('loading');
+    const listed = await listImageFiles(folderPath, config, stageRandom()); // フォルダ内の画像ファイルの一覧を取得 (学習に使うラベルのみ)
+    const [listedFiles, listedLabels, listedDirs, unsupportedFiles] = listed;
+    if (describeLabelSelection(config) && socket) {
+      socket.emit('log', describeLabelSelection(config)); // Socket.IO でログを送信 (オプション)
+    }
+    checkTrainableDataset(listedFiles, listedDirs, unsupportedFiles.length); // 画像を読み込む前に確認する
+
+    // ラベルごとの割合を保って学習用と検証用に分割 (検証用の画像は拡張しないため、特徴量の抽出前に分割する)
+    // 交差検証では分割ごとにすべての画像が学習用になりうるので、すべての画像を拡張し、最終的なモデルはすべての画像で学習する
+    // 続きから学習する場合は、元のバージョンで学習した画像が検証用に入らないように元のバージョンの分割を引き継ぐ
+    const crossValidation = config.crossValidation.enabled;
+    let split = crossValidation
+      ? { trainIndices: listedFiles.map((file, index) => index), validationIndices: [] }
+      : stratifiedSplit(listedLabels, config.validationSplit);
+    if (parent && parent.manifest && config.validationSplit > 0) {
+      split = keepParentSplit(split, listedFiles, parent.manifest);
+    }
+
+    console.log('Loading images and creating features - this may take a while...'); // 処理状況を出力
+    if (socket) { socket.emit('log', `loading ${listedFiles.length} images`); } // Socket.IO でログを送信 (オプション)
+    if (config.augmentation.enabled && socket) {
+      socket.emit('log', `augmenting ${split.trainIndices.length} images x ${config.augmentation.multiplier}`); // Socket.IO でログを送信 (オプション)
+    }
+    onPhase('extracting');
+    const extracted = await extractFeatures(featureModel, folderPath, listedFiles, preprocessing, {
+      cacheKey: featureCache.getVariantKey({
+        backbone,
+        inputSize: backboneSpec.inputSize,
+        preprocessing: getPreprocessingId(preprocessing),
+      }),
+      augmentIndices: split.trainIndices,
+      augmentation: config.augmentation.enabled ? config.augmentation : null,
+      random: stageRandom(),
+      signal: signal,
+      onProgress: (loaded, total) => {
+        if (socket) { socket.emit('loadProgress', { loaded, total }); } // Socket.IO で読み込みの進捗を送信 (オプション)
+      },
+    });
+    if (!extracted) {
+      return reportCancelled(socket, 0);
+    }
+    tensors.push(extracted.features, extracted.augmentedFeatures);
+
+    // 読み込めなかった画像を報告し、読み込めた画像だけで学習する
+    const skipped = [...unsupportedFiles, ...extracted.skipped];
+    if (socket) {
+      skipped.forEach(({ file, reason }) => socket.emit('log', `skipped: ${file} (${reason})`)); // Socket.IO でログを送信 (オプション)
+    }
+    const hashes = extracted.hashes; // 詰め直した後の画像と同じ順序
+    const { files, labels, dirs, trainIndices, validationIndices, indexMap } = excludeSkippedImages({
+      files: listedFiles,
+      labels: listedLabels,
+      dirs: listedDirs,
+      trainIndices: split.trainIndices,
+      validationIndices: split.validationIndices,
+    }, extracted.loadedIndices);
+    checkTrainableDataset(files, dirs, skipped.length);
+    if (crossValidation && files.length < config.crossValidation.folds) {
+      throw createTrainError('NOT_ENOUGH_IMAGES', `交差検証には分割数 (${config.crossValidation.folds}) 以上の画像が必要です (学習に使える画像: ${files.length} 枚)`);
+    }
+
+    // 学習の記録用に、シード値と実際に学習に使うデータセットの内訳を送信
+    if (socket) {
+      socket.emit('runInfo', {
+        seed: seed,
+        dataset: {
+          total: files.length,
+          train: trainIndices.length,
+          validation: validationIndices.length,
+          augmented: extracted.augmentedSourceIndices.length,
+          folds: crossValidation ? config.crossValidation.folds : null, // 交差検証の分割数 (交差検証以外は null)
+          skipped: skipped.length,
+          labelMode: config.labelMode,
+          excludedLabels: config.excludedLabels,
+          includedLabels: config.includedLabels,
+          labels: dirs.map((label, index) => ({ label, count: labels.filter(value => value === index).length })),
+        },
+      });
+    }
+
+    const featureX = extracted.features;
+    const Y = tf.oneHot(labels, dirs.length); // ラベル (数値) を one-hot エンコーディング
+    tensors.push(Y);
+    console.log(`Features stack ${featureX.shape} (cached ${extracted.cachedCount}, skipped ${skipped.length})`); // 特徴量テンソルの形状とキャッシュを使った画像の枚数を出力
+    if (socket) { socket.emit('log', `Features stack ${featureX.shape} (cached ${extracted.cachedCount} / extracted ${files.length - extracted.cachedCount} / skipped ${skipped.length})`); } // Socket.IO でログを送信 (オプション)
+
+    const augmentedSourceIndices = extracted.augmentedSourceIndices.map(index => indexMap.get(index));
+    const trainFinalModel = !crossValidation || config.crossValidation.trainFinalModel;
+    // 進捗 (%) の計算に使う予定エポック数 (交差検証は分割ごとに epochs ずつ)
+    const finalEpochs = trainFinalModel ? config.epochs + (fineTuning ? config.fineTune.epochs : 0) : 0;
+    const crossValidationEpochs = crossValidation ? config.crossValidation.folds * config.epochs : 0;
+    const plannedEpochs = crossValidationEpochs + finalEpochs;
+
+    // 交差検証で評価する (最終的なモデルを学習しない場合は、評価結果を送信して終了する)
+    let crossValidated = null;
+    if (crossValidation) {
+      onPhase('crossValidating');
+      console.log(`Cross-validating (${config.crossValidation.folds} folds)`); // 処理状況を出力
+      if (socket) { socket.emit('log', `cross-validating with ${config.crossValidation.folds} folds`); } // Socket.IO でログを送信 (オプション)
+      crossValidated = await crossValidate(featureX, Y, {
+        files: files,
+        labels: labels,
+        labelNames: dirs,
+        augmentedFeatures: extracted.augmentedFeatures,
+        augmentedSourceIndices: augmentedSourceIndices,
+        featureDim: backboneSpec.featureDim,
+        config: config,
+        plannedEpochs: plannedEpochs,
+        startTime: startTime,
+        signal: signal,
+        random: random,
+      }, socket);
+      if (crossValidated.stopReason === 'cancelled') {
+        return reportCancelled(socket, crossValidated.epochsRun);
+      }
+
+      const { summary } = crossValidated;
+      const format = ({ mean, std }) => (mean === null ? '-' : `${mean.toFixed(3)} ± ${std.toFixed(3)}`);
+      console.log(`cross-validation accuracy:${summary.accuracy.mean} std:${summary.accuracy.std}`); // 交差検証の正解率を出力
+      if (socket) {
+        socket.emit('log', `cross-validation accuracy ${format(summary.accuracy)}, macro F1 ${format(summary.macroF1)}`); // Socket.IO でログを送信 (オプション)
+        socket.emit('log', `cross-validation F1: ${summary.perLabel.map(({ label, f1 }) => `${label} ${format(f1)}`).join(', ')}`); // Socket.IO でログを送信 (オプション)
+      }
+      crossValidated.evaluation.crossValidation = summary; // 分割ごとの平均と標準偏差 (評価結果と並べて表示する)
+
+      if (!trainFinalModel) {
+        const result = {
+          stopReason: 'completed',
+          epochsRun: crossValidated.epochsRun,
+          modelVersion: null,
+          crossValidation: summary,
+          evaluation: crossValidated.evaluation,
+        };
+        if (socket) { socket.emit('learnCompleted', result); } // 学習完了イベントを送信
+        return result;
+      }
+      onPhase('training');
+      if (socket) { socket.emit('log', `training final model on ${files.length} images`); } // Socket.IO でログを送信 (オプション)
+    }
+
+    // 学習用のデータ (拡張した画像を含む) を組み立て、ラベルごとのサンプル数の偏りを補正
+    const trainRandom = stageRandom(); // サンプルの選び直し・重みの初期化・シャッフルで続けて使う
+    const { trainX, trainY, balance } = buildTrainingSet(featureX, Y, {
+      labels: labels,
+      labelNames: dirs,
+      trainIndices: trainIndices,
+      augmentedFeatures: extracted.augmentedFeatures,
+      augmentedSourceIndices: augmentedSourceIndices,
+      classBalance: config.classBalance,
+      random: trainRandom,
+    }, tensors);
+    if (socket) {
+      const counts = balance.summary.map(({ label, original, effective }) => `${label} ${original}→${effective}`).join(', ');
+      socket.emit('log', `class balance (${config.classBalance}): ${counts}`); // Socket.IO でログを送信 (オプション)
+    }
+
+    transferModel = createHeadModel(backboneSpec.featureDim, dirs.length, config, trainRandom);
+
+    // 続きから学習する場合は、元のバージョンの重みを初期値にする (新しいラベルの出力ユニットを追加する)
+    let inheritance = null;
+    if (parent) {
+      inheritance = inheritHeadWeights(transferModel, parent.model, parent.meta.labels, dirs);
+      console.log(`inherited ${inheritance.kept.length} labels from v${parentVersion}`); // 重みを引き継いだラベル数を出力
+      if (socket) {
+        socket.emit('log', `inherited weights for ${inheritance.kept.length} labels from v${parentVersion}` +
+          (inheritance.added.length > 0 ? `, new labels: ${inheritance.added.join(', ')}` : '') +
+          (inheritance.removed.length > 0 ? `, removed labels: ${inheritance.removed.join(', ')}` : '')); // Socket.IO でログを送信 (オプション)
+      }
+    }
+
+    const validationData = validationIndices.length > 0
+      ? [tf.gather(featureX, validationIndices), tf.gather(Y, validationIndices)]
+      : undefined; // 検証用の画像がない場合は検証しない
+    tensors.push(validationData);
+    console.log(`train:${trainX.shape[0]} validation:${validationIndices.length}`); // 分割後の画像数 (学習用は拡張した画像を含む) を出力
+    if (socket) { socket.emit('log', `train ${trainX.shape[0]} / validation ${validationIndices.length}`); } // Socket.IO でログを送信 (オプション)
+
+    // 転移学習モデルを学習
+    const fitted = await fitHeadModel(transferModel, trainX, trainY, validationData, {
+      config: config,
+      classWeight: balance.classWeight,
+      random: trainRandom,
+      signal: signal,
+      epochOffset: crossValidationEpochs,
+      plannedEpochs: plannedEpochs,
+      startTime: startTime,
+      fold: null,
+    }, socket);
+    let stopReason = fitted.stopReason; // 学習が終了した理由
+    let epochsRun = (crossValidated ? crossValidated.epochsRun : 0) + fitted.epochsRun; // 完了したエポック数 (交差検証を含む)
+    if (stopReason === 'cancelled') {
+      return reportCancelled(socket, epochsRun);
+    }
+
+    // 特徴量での学習が終わった後、バックボーンの上位の層も画像から学習する
+    const headEpochsRun = fitted.epochsRun;
+    let fineTuned = null;
+    if (fineTuning) {
+      onPhase('fineTuning');
+      console.log(`Fine-tuning top ${config.fineTune.layers} layers`); // 処理状況を出力
+      if (socket) { socket.emit('log', `fine-tuning top ${config.fineTune.layers} layers (learning rate ${config.fineTune.learningRate})`); } // Socket.IO でログを送信 (オプション)
+      fineTuned = await fineTuneBackbone(layersBackbone, transferModel, {
+        dirPath: folderPath,
+        files: files,
+        labels: labels,
+        labelNames: dirs,
+        trainIndices: trainIndices,
+        validationIndices: validationIndices,
+        imageOptions: { preprocessing: preprocessing, labelCount: dirs.length },
+        config: config,
+        epochOffset: crossValidationEpochs + headEpochsRun, // 交差検証は予定のエポック数、特徴量の学習は完了したエポック数だけ進める
+        startTime: startTime,
+        signal: signal,
+        random: random,
+      }, socket);
+      fineTuneModel = fineTuned.model;
+      stopReason = fineTuned.stopReason;
+      epochsRun += fineTuned.epochsRun;
+      if (stopReason === 'cancelled') {
+        return reportCancelled(socket, epochsRun);
+      }
+    }
+
+    console.log('learned!'); // 学習完了を出力
+    if (socket) { socket.emit('log', 'learned'); } // Socket.IO でログを送信 (オプション)
+
+    // 検証用の画像で混同行列とラベルごとの評価指標を計算 (検証用の画像がない場合は評価しない)
+    // ファインチューニングを行った場合は、最後のエポックで検証用の画像を予測した結果を使う
+    // 交差検証を行った場合は、全分割の検証結果をまとめた評価結果を使う
+    let evaluation = crossValidated ? crossValidated.evaluation : null;
+    if (evaluation) {
+      evaluation.classBalance = { method: config.classBalance, labels: balance.summary }; // 最終的なモデルの学習に使ったラベルごとのサンプル数
+    } else if (validationData) {
+      let predictedLabels = fineTuned ? fineTuned.predictedLabels : null;
+      if (!predictedLabels) {
+        const predicted = tf.tidy(() => transferModel.predict(validationData[0]).argMax(-1));
+        predictedLabels = Array.from(await predicted.data());
+        predicted.dispose();
+      }
+      evaluation = computeEvaluation(
+        dirs,
+        validationIndices.map(index => labels[index]),
+        predictedLabels,
+        validationIndices.map(index => files[index])
+      );
+      evaluation.classBalance = { method: config.classBalance, labels: balance.summary }; // 学習に使ったラベルごとのサンプル数 (評価結果と並べて表示する)
+      console.log(`validation accuracy:${evaluation.accuracy}`); // 検証用の画像での正解率を出力
+      if (socket) { socket.emit('log', `validation accuracy ${(evaluation.accuracy * 100).toFixed(1)}% (${evaluation.total} images)`); } // Socket.IO でログを送信 (オプション)
+    }
+
+    // 学習済みモデルを新しいバージョンとして保存
+    // ファインチューニングを行った場合は、画像を入力とするモデル (バックボーンを含む) を保存する
+    const modelVersion = await saveModelVersion(projectName, fineTuneModel || transferModel, {
+      labels: dirs, // 出力ユニット順のラベル名
+      inputSize: inputSize,
+      preprocessing: preprocessing, // 学習に使った前処理 (このモデルで予測するときも同じ前処理をする)
+      backbone: backbone,
+      trainingMode: config.trainingMode, // 'features' (入力は特徴量) / 'fineTune' (入力は画像)
+      parentVersion: parentVersion, // 続きから学習した元のバージョン番号
+      training: {
+        config,
+        seed, // 使用したシード値 (config.seed が null の場合は学習ごとに作成した値)
+        stopReason,
+        epochsRun,
+        skippedImages: skipped, // 読み込めずにスキップした画像 { file, reason }
+        classBalance: { method: config.classBalance, labels: balance.summary }, // ラベルごとの補正前後のサンプル数
+        crossValidation: crossValidated ? crossValidated.summary : null, // 交差検証の正解率と F1 の平均と標準偏差
+        inheritance: inheritance, // 元のバージョンから重みを引き継いだ・追加した・除いたラベル名 (続きから学習した場合)
+        fineTune: fineTuned
+          ? { layers: config.fineTune.layers, epochsRun: fineTuned.epochsRun, headEpochsRun: headEpochsRun }
+          : null,
+      }, // 学習設定と終了理由
+    }, {
+      history: { ...history, finishedAt: new Date().toISOString() }, // 学習の経過
+      manifest: createManifest({ seed, config, backboneSpec, preprocessing, dirs, files, labels, hashes, validationIndices, skipped }), // 学習に使った画像と条件の一覧
+      evaluation: evaluation, // 検証用の画像 (交差検証の場合は全分割の検証用の画像) での評価結果
+    });
+    console.log(`saved model v${modelVersion.version}`); // 保存したバージョンを出力
+
+    const result = { stopReason, epochsRun, modelVersion, crossValidation: crossValidated ? crossValidated.summary : null };
+    if (socket) {
+      socket.emit('log', `saved model v${modelVersion.version}`); // Socket.IO でログを送信 (オプション)
+      socket.emit('learnCompleted', result); // 学習完了イベントを送信
+    }
+    return result;
+  } finally {
+    // 学習の終了・中断・失敗にかかわらずテンソルとモデルを解放
+    tf.dispose(tensors);
+    // ファインチューニング用のモデルはバックボーンと転移学習モデルの層を共有するため、先に解放する
+    if (fineTuneModel) {
+      fineTuneModel.dispose();
+    }
+    if (layersBackbone) {
+      layersBackbone.dispose();
+    }
+    if (transferModel) {
+      transferModel.dispose();
+    }
+    if (parent) {
+      parent.model.dispose();
+    }
+  }
+}
+
+/**
+ * ハイパーパラメータのスイープ (学習設定を変えた複数の試行) を実行する関数
+ * 画像の一覧と学習用・検証用の分割はすべての試行で共通にし、元の画像の特徴量はキャッシュから読み込んで再利用する
+ * データ拡張の設定が同じ試行はまとめて実行し、拡張した画像の特徴量は設定ごとに 1 回だけ抽出する
+ * 試行では特徴量を入力とするモデルだけを学習し (ファインチューニング・交差検証は行わない)、モデルは保存しない
+ * @param {string} folderPath 学習データのフォルダパス
+ * @param {object} socket Socket.IO のソケットオブジェクト (オプション)
+ * @param {object} options 追加オプション
+ * @param {string} options.backbone 使用するバックボーン名 (省略時は設定の defaultBackbone)
+ * @param {object} options.config 基準の学習設定 (除外するラベルと検証用の割合に使う)
+ * @param {object} options.sweep スイープの設定 { method, metric, seed } (createSweepTrials で検証済み)
+ * @param {Array<object>} options.trials 試行の配列 [{ index, params, config }] (createSweepTrials の結果)
+ * @param {AbortSignal} options.signal スイープを中断するためのシグナル (オプション)
+ * @param {function(string): void} options.onPhase 処理段階 ('loading' / 'extracting' / 'sweeping') が変わったときに呼ばれる関数 (オプション)
+ * @returns {Promise<object>} スイープの結果 { stopReason, epochsRun, modelVersion: null, sweep }
+ *   sweep は { method, metric, seed, trialCount, trials: 良い順に並べた試行 [{ index, rank, params, config, metrics, stopReason, epochsRun }] }
+ *   中断した場合は stopReason が 'cancelled' で、trials は完了した試行だけ
+ */
+async function runSweep(folderPath, socket = null, options = {}) {
+  const backbone = options.backbone || backboneConfig.defaultBackbone;
+  const config = options.config || DEFAULT_TRAIN_CONFIG;
+  const { sweep, trials, signal } = options;
+  const onPhase = options.onPhase || (() => {});
+  const backboneSpec = getBackboneSpec(backbone, config.inputSize); // バックボーンの入力サイズ・特徴量の次元数・正規化の方法
+  const preprocessing = resolvePreprocessing(config.preprocessing, backboneSpec); // すべての試行で共通の前処理
+  const startTime = Date.now();
+
+  // 試行は検証用の指標で順位付けするので、検証用の画像が必要
+  if (config.validationSplit === 0) {
+    throw createTrainError('NO_VALIDATION_DATA', 'スイープには検証用の画像が必要です (validationSplit を 0 より大きくしてください)');
+  }
+
+  console.log('Loading model'); // 処理状況を出力
+  if (socket) { socket.emit('log', `sweep (${sweep.method}): ${trials.length} trials, ranked by ${sweep.metric}, seed ${sweep.seed}`); } // Socket.IO でログを送信 (オプション)
+  const featureModel = await loadBackbone(backbone);
+
+  // 画像の一覧と分割はすべての試行で共通
+  onPhase('loading');
+  const [listedFiles, listedLabels, listedDirs, unsupportedFiles] = await listImageFiles(folderPath, config, createRandom(sweep.seed));
+  checkTrainableDataset(listedFiles, listedDirs, unsupportedFiles.length);
+  const split = stratifiedSplit(listedLabels, config.validationSplit);
+  const cacheKey = featureCache.getVariantKey({
+    backbone,
+    inputSize: backboneSpec.inputSize,
+    preprocessing: getPreprocessingId(preprocessing),
+  });
+
+  // データ拡張の設定ごとに試行をまとめる
+  const groups = new Map();
+  trials.forEach(trial => {
+    const augmentation = trial.config.augmentation.enabled ? trial.config.augmentation : null;
+    const key = JSON.stringify(augmentation);
+    if (!groups.has(key)) {
+      groups.set(key, { augmentation, trials: [] });
+    }
+    groups.get(key).trials.push(trial);
   });
 
-  console.log('learned!'); // 学習完了を出力
-  if(socket){
-    socket.emit('log','learned'); // Socket.IO でログを送信 (オプション)
-    socket.emit('learnCompleted'); // 学習完了イベントを送信 
+  const plannedEpochs = trials.reduce((sum, trial) => sum + trial.config.epochs, 0); // 進捗 (%) の計算に使う予定エポック数
+  let epochOffset = 0;
+  let epochsRun = 0;
+  let stopReason = 'completed';
+  const results = [];
+
+  for (const group of groups.values()) {
+    const tensors = []; // データ拡張の設定ごとに解放するテンソル
+    try {
+      onPhase('extracting');
+      if (group.augmentation && socket) {
+        socket.emit('log', `augmenting ${split.trainIndices.length} images x ${group.augmentation.multiplier}`); // Socket.IO でログを送信 (オプション)
+      }
+      const extracted = await extractFeatures(featureModel, folderPath, listedFiles, preprocessing, {
+        cacheKey: cacheKey,
+        augmentIndices: split.trainIndices,
+        augmentation: group.augmentation,
+        random: createRandom(sweep.seed),
+        signal: signal,
+        onProgress: (loaded, total) => {
+          if (socket) { socket.emit('loadProgress', { loaded, total }); } // Socket.IO で読み込みの進捗を送信 (オプション)
+        },
+      });
+      if (!extracted) {
+        stopReason = 'cancelled';
+        break;
+      }
+      tensors.push(extracted.features, extracted.augmentedFeatures);
+
+      const { files, labels, dirs, trainIndices, validationIndices, indexMap } = excludeSkippedImages({
+        files: listedFiles,
+        labels: listedLabels,
+        dirs: listedDirs,
+        trainIndices: split.trainIndices,
+        validationIndices: split.validationIndices,
+      }, extracted.loadedIndices);
+      checkTrainableDataset(files, dirs, unsupportedFiles.length + extracted.skipped.length);
+      if (validationIndices.length === 0) {
+        throw createTrainError('NO_VALIDATION_DATA', `検証用の画像がありません (学習に使える画像: ${files.length} 枚)`);
+      }
+      if (results.length === 0 && socket) {
+        // 学習の記録用に、シード値と試行に共通のデータセットの内訳を送信
+        const skippedCount = unsupportedFiles.length + extracted.skipped.length;
+        socket.emit('runInfo', {
+          seed: sweep.seed,
+          dataset: {
+            total: files.length,
+            train: trainIndices.length,
+            validation: validationIndices.length,
+            augmented: extracted.augmentedSourceIndices.length,
+            skipped: skippedCount,
+            labelMode: config.labelMode,
+            excludedLabels: config.excludedLabels,
+            includedLabels: config.includedLabels,
+            labels: dirs.map((label, index) => ({ label, count: labels.filter(value => value === index).length })),
+          },
+        });
+      }
+
+      const featureX = extracted.features;
+      const Y = tf.oneHot(labels, dirs.length); // ラベル (数値) を one-hot エンコーディング
+      const validationData = [tf.gather(featureX, validationIndices), tf.gather(Y, validationIndices)];
+      tensors.push(Y, validationData);
+      const augmentedSourceIndices = extracted.augmentedSourceIndices.map(index => indexMap.get(index));
+
+      onPhase('sweeping');
+      for (const trial of group.trials) {
+        if (signal && signal.aborted) {
+          stopReason = 'cancelled';
+          break;
+        }
+        // 試行ごとに同じ乱数列から始める (サンプルの選び直し・初期化・シャッフルの条件をそろえて比べる)
+        const trialRandom = createRandom(sweep.seed);
+        const trialTensors = [];
+        let model = null;
+        try {
+          const { trainX, trainY, balance } = buildTrainingSet(featureX, Y, {
+            labels: labels,
+            labelNames: dirs,
+            trainIndices: trainIndices,
+            augmentedFeatures: extracted.augmentedFeatures,
+            augmentedSourceIndices: augmentedSourceIndices,
+            classBalance: trial.config.classBalance,
+            random: trialRandom,
+          }, trialTensors);
+          model = createHeadModel(backboneSpec.featureDim, dirs.length, trial.config, trialRandom);
+          const fitted = await fitHeadModel(model, trainX, trainY, validationData, {
+            config: trial.config,
+            classWeight: balance.classWeight,
+            random: trialRandom,
+            signal: signal,
+            epochOffset: epochOffset,
+            plannedEpochs: plannedEpochs,
+            startTime: startTime,
+            fold: null,
+          }, socket);
+          epochOffset += trial.config.epochs; // 早期終了しても試行ごとに予定のエポック数ずつ進める
+          epochsRun += fitted.epochsRun;
+          if (fitted.stopReason === 'cancelled') {
+            stopReason = 'cancelled';
+            break;
+          }
+
+          // 最後のエポックの指標で順位付けする
+          // 早期終了しても最良のエポックの重みには戻さず、学習で保存されるのは最後のエポックの重みのため、
+          // 昇格して学習し直したモデルの検証結果と同じ値で比べる
+          const result = {
+            index: trial.index,
+            params: trial.params,
+            config: trial.config,
+            stopReason: fitted.stopReason,
+            epochsRun: fitted.epochsRun,
+            metrics: {
+              loss: fitted.logs.loss,
+              accuracy: fitted.logs.acc,
+              val_loss: fitted.logs.val_loss ?? null,
+              val_accuracy: fitted.logs.val_acc ?? null,
+            },
+          };
+          results.push(result);
+          const params = Object.entries(trial.params).map(([name, value]) => `${name}=${value}`).join(' ');
+          console.log(`trial ${results.length}/${trials.length} ${params} ${sweep.metric}:${result.metrics[sweep.metric]}`); // 試行の結果を出力
+          if (socket) {
+            socket.emit('sweepTrial', { ...result, completed: results.length, count: trials.length }); // Socket.IO で試行の結果を送信 (オプション)
+            socket.emit('log', `trial ${results.length}/${trials.length} (${params}): val_acc ${(result.metrics.val_accuracy * 100).toFixed(1)}%, val_loss ${result.metrics.val_loss.toFixed(4)}`); // Socket.IO でログを送信 (オプション)
+          }
+        } finally {
+          tf.dispose(trialTensors);
+          if (model) {
+            model.dispose();
+          }
+        }
+      }
+    } finally {
+      tf.dispose(tensors);
+    }
+    if (stopReason === 'cancelled') {
+      break;
+    }
   }
+
+  const ranked = rankTrials(results, sweep.metric);
+  if (ranked.length > 0) {
+    console.log(`best trial: ${ranked[0].index + 1}`); // 最も良い試行を出力
+    if (socket) { socket.emit('log', `best trial: #${ranked[0].index + 1} (${sweep.metric} ${ranked[0].metrics[sweep.metric]})`); } // Socket.IO でログを送信 (オプション)
+  }
+  if (stopReason === 'cancelled' && socket) {
+    socket.emit('log', 'cancelled'); // Socket.IO でログを送信 (オプション)
+  }
+
+  const result = {
+    stopReason,
+    epochsRun,
+    modelVersion: null,
+    sweep: { method: sweep.method, metric: sweep.metric, seed: sweep.seed, trialCount: trials.length, trials: ranked },
+  };
+  if (socket) { socket.emit('learnCompleted', result); } // 学習完了イベントを送信
+  return result;
 }
 
 // モジュールをエクスポート
 module.exports = {
   learnTransferModel: learnTransferModel,
+  runSweep: runSweep,
+  previewAugmentation: previewAugmentation,
 };
 
 // ローカルで学習を実行 (コメントアウト)
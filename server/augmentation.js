@@ -0,0 +1,87 @@
+const tf = require('@tensorflow/tfjs-node'); // TensorFlow.js for Node.js をインポート
+
+/**
+ * 指定範囲の一様乱数を返す関数
+ * @param {number} min 最小値
+ * @param {number} max 最大値
+ * @param {function(): number} random 0 以上 1 未満の乱数を返す関数
+ * @returns {number} 乱数
+ */
+function uniform(min, max, random) {
+  return min + (max - min) * random();
+}
+
+/**
+ * 画像 1 枚にランダムな変換を適用する関数
+ * 変換は 反転 → 回転 → 切り抜きと拡大 → 明るさ・コントラスト の順に適用する
+ * @param {tf.Tensor4D} image 画像テンソル [1, 高さ, 幅, 3] (画素値は 0 - 1)
+ * @param {object} settings データ拡張の設定 (学習設定の augmentation)
+ * @param {function(): number} random 0 以上 1 未満の乱数を返す関数
+ * @returns {tf.Tensor4D} 変換後の画像テンソル (入力と同じ形状)
+ */
+function augmentImage(image, settings, random = Math.random) {
+  return tf.tidy(() => {
+    const [, height, width] = image.shape;
+    let augmented = image;
+
+    // 左右反転・上下反転 (それぞれ 50% の確率)
+    if (settings.horizontalFlip && random() < 0.5) {
+      augmented = tf.reverse(augmented, 2);
+    }
+    if (settings.verticalFlip && random() < 0.5) {
+      augmented = tf.reverse(augmented, 1);
+    }
+
+    // ±rotation 度の範囲で回転 (はみ出した部分は黒で埋める)
+    if (settings.rotation > 0) {
+      const radians = uniform(-settings.rotation, settings.rotation, random) * Math.PI / 180;
+      augmented = tf.image.rotateWithOffset(augmented, radians, 0);
+    }
+
+    // 一辺が (1 - zoom) 倍以上の領域をランダムに切り抜き、元のサイズに拡大
+    if (settings.zoom > 0) {
+      const scale = uniform(1 - settings.zoom, 1, random);
+      const top = uniform(0, 1 - scale, random);
+      const left = uniform(0, 1 - scale, random);
+      augmented = tf.image.cropAndResize(augmented, [[top, left, top + scale, left + scale]], [0], [height, width]);
+    }
+
+    // 明るさ (画素値を ±brightness の割合で増減)
+    if (settings.brightness > 0) {
+      augmented = augmented.mul(1 + uniform(-settings.brightness, settings.brightness, random));
+    }
+
+    // コントラスト (平均値からの差を ±contrast の割合で増減)
+    if (settings.contrast > 0) {
+      const mean = augmented.mean();
+      augmented = augmented.sub(mean).mul(1 + uniform(-settings.contrast, settings.contrast, random)).add(mean);
+    }
+
+    // 明るさ・コントラストの変更で 0 - 1 の範囲を超えないようにする
+    return augmented.clipByValue(0, 1);
+  });
+}
+
+/**
+ * 画像 1 枚から拡張した画像を複数枚作成する関数
+ * @param {tf.Tensor4D} image 画像テンソル [1, 高さ, 幅, 3]
+ * @param {object} settings データ拡張の設定 (学習設定の augmentation)
+ * @param {number} count 作成する枚数
+ * @param {function(): number} random 0 以上 1 未満の乱数を返す関数
+ * @returns {tf.Tensor4D} 拡張した画像テンソル [count, 高さ, 幅, 3]
+ */
+function augmentImages(image, settings, count, random = Math.random) {
+  const variants = [];
+  for (let i = 0; i < count; i++) {
+    variants.push(augmentImage(image, settings, random));
+  }
+  const batch = tf.concat(variants);
+  tf.dispose(variants);
+  return batch;
+}
+
+// モジュールをエクスポート
+module.exports = {
+  augmentImage: augmentImage,
+  augmentImages: augmentImages,
+};
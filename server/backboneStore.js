@@ -0,0 +1,194 @@
+const fs = require('fs-extra'); // ファイルシステム操作のモジュールをインポート
+const path = require('path'); // パス操作のモジュールをインポート
+const backboneConfig = require('../config/backbone'); // バックボーンの設定をインポート
+
+// 読み込み済みのバックボーン (バックボーン名 → グラフモデルの Promise)
+const loadedBackbones = new Map();
+
+/**
+ * バックボーンの情報をレジストリから取得する関数
+ * @param {string} name バックボーン名
+ * @param {number|null} inputSize 学習設定の入力サイズ (null の場合はレジストリの inputSize を使う)
+ * @returns {object} レジストリの情報 { name, path, inputSize, featureDim, normalization } (inputSize は使用する入力サイズ)
+ */
+function getBackboneSpec(name, inputSize = null) {
+  const spec = backboneConfig.registry.find(backbone => backbone.name === name);
+  if (!spec) {
+    const error = new Error(
+      `バックボーン "${name}" はレジストリに登録されていません。` +
+      `登録済み: ${backboneConfig.registry.map(backbone => backbone.name).join(', ')} (config/backbone.js)`
+    );
+    error.code = 'BACKBONE_NOT_FOUND';
+    throw error;
+  }
+  if (inputSize === null) {
+    return spec;
+  }
+  const message = validateInputSize(name, inputSize);
+  if (message) {
+    const error = new Error(message);
+    error.code = 'INVALID_CONFIG';
+    throw error;
+  }
+  return { ...spec, inputSize: inputSize };
+}
+
+/**
+ * 学習設定の入力サイズをバックボーンで使えるかを確認する関数
+ * @param {string} name バックボーン名
+ * @param {number|null} inputSize 学習設定の入力サイズ (null はレジストリの inputSize)
+ * @returns {string|null} エラーメッセージ (使える場合は null)
+ */
+function validateInputSize(name, inputSize) {
+  const spec = backboneConfig.registry.find(backbone => backbone.name === name);
+  if (!spec) {
+    return `バックボーン "${name}" はレジストリに登録されていません`;
+  }
+  const inputSizes = spec.inputSizes || [spec.inputSize];
+  if (inputSize === null || inputSizes.includes(inputSize)) {
+    return null;
+  }
+  return `inputSize ${inputSize} はバックボーン "${spec.name}" では使えません (${inputSizes.join(' / ')} のいずれか)`;
+}
+
+/**
+ * バックボーンのモデルファイルがローカルにあるかを確認する関数
+ * @param {string} modelDir モデルのフォルダ (レジストリの path または layersPath)
+ * @returns {Promise<boolean>} backbone.json がある場合は true
+ */
+async function isInstalled(modelDir) {
+  return Boolean(modelDir) && await fs.pathExists(path.join(modelDir, 'backbone.json'));
+}
+
+/**
+ * レジストリのバックボーンの一覧を取得する関数
+ * @returns {Promise<Array<object>>} レジストリの情報に、モデルファイルがローカルにあるか (installed) と
+ *   ファインチューニング用のレイヤーモデルがあるか (fineTunable) を加えた配列
+ */
+async function listBackbones() {
+  return await Promise.all(backboneConfig.registry.map(async spec => ({
+    ...spec,
+    installed: await isInstalled(spec.path),
+    fineTunable: await isInstalled(spec.layersPath),
+  })));
+}
+
+/**
+ * バックボーンのモデルファイルがない場合のエラーを作成する関数
+ * @param {object} spec レジストリの情報
+ * @param {string} modelDir モデルのフォルダ (レジストリの path または layersPath)
+ * @returns {Error} code が 'BACKBONE_NOT_FOUND' のエラー
+ */
+function createNotInstalledError(spec, modelDir) {
+  const error = new Error(
+    `バックボーン "${spec.name}" のモデルが ${modelDir} にありません。` +
+    `\`npm run import-backbone -- <モデルフォルダ> ${spec.name}\` で登録してください`
+  );
+  error.code = 'BACKBONE_NOT_FOUND';
+  return error;
+}
+
+/**
+ * モデルのフォルダをバックボーンとして登録する関数
+ * グラフモデルはレジストリの path に、レイヤーモデル (ファインチューニング用) は layersPath に
+ * model.json と重みファイルをコピーし、backbone.json を作成する
+ * @param {string} sourceDir model.json を含むフォルダのパス
+ * @param {string} name 登録するバックボーン名 (レジストリの name)
+ * @returns {Promise<object>} 登録したバックボーンの情報
+ */
+async function importBackbone(sourceDir, name) {
+  const spec = getBackboneSpec(name);
+  const modelJsonPath = path.join(sourceDir, 'model.json');
+  if (!await fs.pathExists(modelJsonPath)) {
+    throw new Error(`${sourceDir} に model.json が見つかりません`);
+  }
+
+  // モデルの形式に応じて登録先を決め、重みファイルが揃っていることを確認
+  const modelJson = await fs.readJson(modelJsonPath);
+  if (!['graph-model', 'layers-model'].includes(modelJson.format)) {
+    throw new Error(`グラフモデルまたはレイヤーモデルではありません (format: ${modelJson.format})`);
+  }
+  const format = modelJson.format === 'graph-model' ? 'graph' : 'layers';
+  const targetDir = format === 'graph' ? spec.path : spec.layersPath;
+  if (!targetDir) {
+    throw new Error(`バックボーン "${name}" にはレイヤーモデルの登録先 (layersPath) がありません (config/backbone.js)`);
+  }
+  const weightFiles = (modelJson.weightsManifest || []).flatMap(group => group.paths);
+  for (const weightFile of weightFiles) {
+    if (!await fs.pathExists(path.join(sourceDir, weightFile))) {
+      throw new Error(`重みファイル ${weightFile} が見つかりません`);
+    }
+  }
+
+  if (await isInstalled(targetDir)) {
+    throw new Error(`バックボーン "${name}" の${format === 'graph' ? 'グラフモデル' : 'レイヤーモデル'}は既に登録されています`);
+  }
+
+  await fs.ensureDir(targetDir);
+  await fs.copy(modelJsonPath, path.join(targetDir, 'model.json'));
+  await Promise.all(weightFiles.map(weightFile => fs.copy(path.join(sourceDir, weightFile), path.join(targetDir, weightFile))));
+
+  const meta = {
+    name: name,
+    format: format,
+    source: path.resolve(sourceDir),
+    importedAt: new Date().toISOString(),
+  };
+  // backbone.json は最後に書き込む (backbone.json があるフォルダだけを登録済みとして扱う)
+  await fs.writeJson(path.join(targetDir, 'backbone.json'), meta, { spaces: 2 });
+  return meta;
+}
+
+/**
+ * バックボーンを読み込む関数
+ * 一度読み込んだモデルはメモリに保持し、以降の学習で再利用する
+ * @param {string} name バックボーン名 (省略時は設定の defaultBackbone)
+ * @returns {Promise<tf.GraphModel>} 読み込んだグラフモデル
+ */
+async function loadBackbone(name = backboneConfig.defaultBackbone) {
+  if (!loadedBackbones.has(name)) {
+    const spec = getBackboneSpec(name);
+    if (!await isInstalled(spec.path)) {
+      throw createNotInstalledError(spec, spec.path);
+    }
+
+    // インポートだけを行う場合に TensorFlow を読み込まないよう、ここで require する
+    const tf = require('@tensorflow/tfjs-node');
+    const loading = tf.loadGraphModel(`file://${path.join(spec.path, 'model.json')}`);
+    loadedBackbones.set(name, loading);
+    loading.catch(() => loadedBackbones.delete(name)); // 失敗した場合は次回読み込み直す
+  }
+  return await loadedBackbones.get(name);
+}
+
+/**
+ * ファインチューニング用にバックボーンのレイヤーモデルを読み込む関数
+ * 学習で重みが変わるため、メモリには保持せず毎回読み込む
+ * @param {string} name バックボーン名
+ * @returns {Promise<tf.LayersModel>} 読み込んだレイヤーモデル
+ */
+async function loadLayersBackbone(name) {
+  const spec = getBackboneSpec(name);
+  if (!spec.layersPath) {
+    const error = new Error(`バックボーン "${name}" はファインチューニングに対応していません (config/backbone.js に layersPath がありません)`);
+    error.code = 'FINE_TUNE_UNAVAILABLE';
+    throw error;
+  }
+  if (!await isInstalled(spec.layersPath)) {
+    throw createNotInstalledError(spec, spec.layersPath);
+  }
+
+  // インポートだけを行う場合に TensorFlow を読み込まないよう、ここで require する
+  const tf = require('@tensorflow/tfjs-node');
+  return await tf.loadLayersModel(`file://${path.join(spec.layersPath, 'model.json')}`);
+}
+
+// モジュールをエクスポート
+module.exports = {
+  getBackboneSpec: getBackboneSpec,
+  validateInputSize: validateInputSize,
+  listBackbones: listBackbones,
+  importBackbone: importBackbone,
+  loadBackbone: loadBackbone,
+  loadLayersBackbone: loadLayersBackbone,
+};
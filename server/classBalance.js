@@ -0,0 +1,82 @@
+const { shuffleInPlace } = require('./random'); // 配列のシャッフルをインポート
+
+/**
+ * ラベルごとのサンプル数を数える関数
+ * @param {Array<number>} rowLabels サンプルごとのラベル (数値) の配列
+ * @param {number} labelCount ラベルの数
+ * @returns {Array<number>} ラベルごとのサンプル数
+ */
+function countByLabel(rowLabels, labelCount) {
+  const counts = new Array(labelCount).fill(0);
+  rowLabels.forEach(label => counts[label]++);
+  return counts;
+}
+
+/**
+ * ラベルごとのサンプル数の偏りを補正する関数
+ * 'classWeight' はサンプル数に反比例する重み (合計が全体のサンプル数になる重み) を計算し、
+ * 'oversample' は少ないラベルのサンプルを重複して選び、最も多いラベルの数にそろえ、
+ * 'undersample' は多いラベルのサンプルをランダムに間引き、最も少ないラベルの数にそろえる
+ * @param {Array<number>} rowLabels サンプルごとのラベル (数値) の配列
+ * @param {Array<string>} labelNames ラベル名の配列
+ * @param {string} method 補正の方法 ('none' / 'classWeight' / 'oversample' / 'undersample')
+ * @param {function(): number} random 0 以上 1 未満の乱数を返す関数
+ * @returns {object} 補正結果
+ *   { rows: 使用するサンプルの位置の配列 (サンプルを選び直さない場合は null), classWeight: fit に渡すラベルごとの重み (重みを使わない場合は null),
+ *     summary: ラベルごとの [{ label, original: 元のサンプル数, effective: 補正後の実質的なサンプル数, weight }] }
+ */
+function balanceClasses(rowLabels, labelNames, method, random = Math.random) {
+  const counts = countByLabel(rowLabels, labelNames.length);
+  const present = counts.filter(count => count > 0);
+  let rows = null;
+  let classWeight = null;
+  let effective = counts.slice();
+  let weights = counts.map(() => 1);
+
+  if (method === 'classWeight') {
+    // サンプル数 × 重み がすべてのラベルで等しくなる重み (サンプルがないラベルは 1)
+    weights = counts.map(count => (count > 0 ? rowLabels.length / (present.length * count) : 1));
+    classWeight = Object.fromEntries(weights.map((weight, label) => [label, weight]));
+    effective = counts.map((count, label) => count * weights[label]);
+  } else if (method === 'oversample' || method === 'undersample') {
+    const target = method === 'oversample' ? Math.max(...present) : Math.min(...present);
+    const rowsByLabel = labelNames.map(() => []);
+    rowLabels.forEach((label, row) => rowsByLabel[label].push(row));
+
+    rows = [];
+    rowsByLabel.forEach((labelRows, label) => {
+      if (labelRows.length === 0) {
+        return;
+      }
+      const shuffled = shuffleInPlace(labelRows.slice(), random);
+      if (shuffled.length >= target) {
+        rows.push(...shuffled.slice(0, target)); // 多いラベルはランダムに間引く
+      } else {
+        // 少ないラベルはすべてのサンプルを使い、足りない分をランダムに重複して選ぶ
+        rows.push(...shuffled);
+        for (let i = shuffled.length; i < target; i++) {
+          rows.push(shuffled[Math.floor(random() * shuffled.length)]);
+        }
+      }
+      effective[label] = target;
+    });
+    shuffleInPlace(rows, random);
+  }
+
+  return {
+    rows: rows,
+    classWeight: classWeight,
+    summary: labelNames.map((label, index) => ({
+      label: label,
+      original: counts[index],
+      effective: Math.round(effective[index] * 10) / 10,
+      weight: weights[index],
+    })),
+  };
+}
+
+// モジュールをエクスポート
+module.exports = {
+  countByLabel: countByLabel,
+  balanceClasses: balanceClasses,
+};
@@ -0,0 +1,169 @@
+const fs = require('fs-extra'); // ファイルシステム操作のモジュールをインポート
+const path = require('path'); // パス操作のモジュールをインポート
+const { glob } = require('glob'); // ファイルパターンのマッチングモジュールをインポート
+const imageFormat = require('./imageFormat'); // 画像の形式の判定モジュールをインポート
+const { hashContent } = require('./featureCache'); // 画像データのハッシュの計算をインポート
+const { isTrainingLabel } = require('./trainConfig'); // 学習に使うラベルの判定をインポート
+
+// 学習前の確認で、ラベルごとに少なくとも必要な画像の枚数 (これより少ない場合は警告する)
+const MIN_IMAGES_PER_LABEL = 5;
+
+// 学習前の確認で、極端とみなす縦横比 (長い辺 / 短い辺)
+const MAX_ASPECT_RATIO = 3;
+
+// 学習前の確認の結果に含めるファイルの最大数 (問題ごと)
+const MAX_REPORTED_FILES = 50;
+
+/**
+ * プロジェクトのフォルダ内の画像ファイルをラベルごとに列挙する関数
+ * 学習 (TFhelper の listImageFiles) と学習前の確認で同じ一覧を使うため、順序はパスの順にそろえる
+ * @param {string} dirPath プロジェクトのフォルダのパス (直下のフォルダ名がラベル名)
+ * @param {object} config 学習設定 (labelMode・excludedLabels・includedLabels で学習に使うラベルを選ぶ)
+ * @returns {Promise<object>} { files: 画像パス (フォルダからの相対パス) の配列, labels: ラベル (数値) の配列, dirs: ラベル名の配列,
+ *   skipped: 扱えない拡張子のファイル { file, reason } の配列 }
+ */
+async function listDatasetFiles(dirPath, config) {
+  const files = [];
+  const labels = [];
+  const dirs = [];
+  const skipped = [];
+
+  const found = await glob(`${dirPath}/*/*`, { nodir: true }); // フォルダ内のファイルを検索 (隠しファイルは含まれない)
+  for (const file of found.sort()) {
+    const dir = path.basename(path.dirname(file)); // ファイルの親ディレクトリ名 (ラベル名) を取得
+    if (!isTrainingLabel(config, dir)) {
+      continue; // 学習に使わないラベルの画像は除く
+    }
+    const relativePath = path.relative(dirPath, file).split(path.sep).join('/');
+    if (!imageFormat.isImageFileName(file)) {
+      skipped.push({ file: relativePath, reason: `unsupported extension "${path.extname(file) || '(none)'}"` });
+      continue;
+    }
+    if (!dirs.includes(dir)) {
+      dirs.push(dir); // 新しいラベル名なら配列に追加
+    }
+    labels.push(dirs.indexOf(dir));
+    files.push(relativePath);
+  }
+  return { files, labels, dirs, skipped };
+}
+
+/**
+ * 確認結果の問題を作成する関数 (ファイルの一覧は MAX_REPORTED_FILES 件までにする)
+ * @param {string} severity 'error' (学習できない) / 'warning' (確認すれば学習できる)
+ * @param {string} code 問題のコード
+ * @param {string} message 問題の説明
+ * @param {Array<string>} files 問題のあるファイルの説明の配列
+ * @returns {object} { severity, code, message, files, fileCount }
+ */
+function createIssue(severity, code, message, files = []) {
+  return { severity, code, message, files: files.slice(0, MAX_REPORTED_FILES), fileCount: files.length };
+}
+
+/**
+ * 学習を始める前にデータセットを確認する関数
+ * 学習と同じ一覧の画像をすべて読み込み (デコードはせず、ヘッダーからサイズを読み取る)、次の問題を調べる
+ *   エラー (学習できない): 画像がない・画像のあるラベルが 2 つ未満・交差検証の分割数より画像が少ない
+ *   警告 (確認すれば学習できる): 画像の少ないラベル・読み込めないファイル (空のファイルを含む)・複数のラベルにある同じ画像・
+ *     極端な縦横比の画像・入力サイズより小さい画像
+ * @param {string} dirPath プロジェクトのフォルダのパス
+ * @param {object} config 学習設定 (検証済み)
+ * @param {number} inputSize バックボーンの入力サイズ (一辺のピクセル数)
+ * @returns {Promise<object>} 確認結果
+ *   { ok: エラーがないか, inputSize, totals: { files, readable }, labels: [{ label, files, readable }], errors: 問題の配列, warnings: 問題の配列 }
+ */
+async function runPreflight(dirPath, config, inputSize) {
+  const { files, labels, dirs, skipped } = await listDatasetFiles(dirPath, config);
+  const labelStats = dirs.map(dir => ({ label: dir, files: 0, readable: 0 }));
+  const unreadable = skipped.map(({ file, reason }) => `${file}: ${reason}`);
+  const extremeAspect = [];
+  const tooSmall = [];
+  const filesByHash = new Map(); // 画像のハッシュ → 同じ内容の画像パスの配列
+
+  // 画像を 1 枚ずつ読み込む (メモリに載るのは 1 枚分だけ)
+  for (let i = 0; i < files.length; i++) {
+    const file = files[i];
+    const stats = labelStats[labels[i]];
+    stats.files++;
+
+    let buffer;
+    try {
+      buffer = await fs.readFile(path.join(dirPath, file));
+    } catch (err) {
+      unreadable.push(`${file}: ${err.code || err.message}`);
+      continue;
+    }
+    const { format, reason } = imageFormat.inspectImage(file, buffer);
+    const size = format ? imageFormat.readImageSize(buffer, format) : null;
+    if (!size) {
+      unreadable.push(`${file}: ${reason || 'corrupt or truncated image header'}`);
+      continue;
+    }
+    stats.readable++;
+
+    const hash = hashContent(buffer);
+    filesByHash.set(hash, [...(filesByHash.get(hash) || []), file]);
+
+    const aspectRatio = Math.max(size.width, size.height) / Math.min(size.width, size.height);
+    if (aspectRatio > MAX_ASPECT_RATIO) {
+      extremeAspect.push(`${file} (${size.width}x${size.height})`);
+    }
+    if (size.width < inputSize || size.height < inputSize) {
+      tooSmall.push(`${file} (${size.width}x${size.height})`);
+    }
+  }
+
+  const readableCount = labelStats.reduce((sum, stats) => sum + stats.readable, 0);
+  const trainableLabels = labelStats.filter(stats => stats.readable > 0);
+  const errors = [];
+  const warnings = [];
+
+  // 学習を止める問題 (学習を始めても TFhelper の確認で失敗するもの)
+  if (readableCount === 0) {
+    errors.push(createIssue('error', 'NO_IMAGES', '学習に使える画像がありません'));
+  } else if (trainableLabels.length < 2) {
+    errors.push(createIssue('error', 'SINGLE_LABEL', `学習には画像のあるラベルが 2 つ以上必要です (学習に使えるラベル: ${trainableLabels.map(stats => stats.label).join(', ')})`));
+  }
+  if (config.crossValidation.enabled && readableCount > 0 && readableCount < config.crossValidation.folds) {
+    errors.push(createIssue('error', 'NOT_ENOUGH_IMAGES', `交差検証には分割数 (${config.crossValidation.folds}) 以上の画像が必要です (学習に使える画像: ${readableCount} 枚)`));
+  }
+
+  // 確認すれば学習できる問題
+  const fewImages = labelStats.filter(stats => stats.readable < MIN_IMAGES_PER_LABEL);
+  if (fewImages.length > 0) {
+    warnings.push(createIssue('warning', 'FEW_IMAGES', `画像が ${MIN_IMAGES_PER_LABEL} 枚未満のラベルがあります`,
+      fewImages.map(stats => `${stats.label}: ${stats.readable} 枚`)));
+  }
+  if (unreadable.length > 0) {
+    warnings.push(createIssue('warning', 'UNREADABLE_FILES', `読み込めないファイルが ${unreadable.length} 個あります (学習ではスキップします)`, unreadable));
+  }
+  const duplicates = [...filesByHash.values()]
+    .filter(group => new Set(group.map(file => file.split('/')[0])).size > 1)
+    .map(group => group.join(' = '));
+  if (duplicates.length > 0) {
+    warnings.push(createIssue('warning', 'DUPLICATES_ACROSS_LABELS', `同じ画像が複数のラベルにあります (${duplicates.length} 組)`, duplicates));
+  }
+  if (extremeAspect.length > 0) {
+    warnings.push(createIssue('warning', 'EXTREME_ASPECT_RATIO', `縦横比が ${MAX_ASPECT_RATIO}:1 を超える画像が ${extremeAspect.length} 枚あります (リサイズ方法: ${config.preprocessing.resize})`, extremeAspect));
+  }
+  if (tooSmall.length > 0) {
+    warnings.push(createIssue('warning', 'TOO_SMALL', `入力サイズ (${inputSize}x${inputSize}) より小さい画像が ${tooSmall.length} 枚あります (拡大して使います)`, tooSmall));
+  }
+
+  return {
+    ok: errors.length === 0,
+    inputSize: inputSize,
+    totals: { files: files.length + skipped.length, readable: readableCount },
+    labels: labelStats,
+    errors: errors,
+    warnings: warnings,
+  };
+}
+
+// モジュールをエクスポート
+module.exports = {
+  MIN_IMAGES_PER_LABEL: MIN_IMAGES_PER_LABEL,
+  MAX_ASPECT_RATIO: MAX_ASPECT_RATIO,
+  listDatasetFiles: listDatasetFiles,
+  runPreflight: runPreflight,
+};
@@ -0,0 +1,105 @@
+/**
+ * 予測結果から 0 除算を避けて割合を計算する関数
+ * @param {number} numerator 分子
+ * @param {number} denominator 分母
+ * @returns {number} 割合 (分母が 0 の場合は 0)
+ */
+function safeRatio(numerator, denominator) {
+  return denominator > 0 ? numerator / denominator : 0;
+}
+
+/**
+ * 正解ラベルと予測ラベルから混同行列とラベルごとの評価指標を計算する関数
+ * 適合率・再現率・F1 は分母が 0 の場合 0 とする
+ * マクロ平均は正解の画像があるラベル (support > 0) だけで計算する (交差検証の分割に画像がないラベルを 0 として数えない)
+ * @param {Array<string>} labelNames 出力ユニット順のラベル名配列
+ * @param {Array<number>} actualLabels 正解ラベル (数値) の配列
+ * @param {Array<number>} predictedLabels 予測ラベル (数値) の配列
+ * @param {Array<string>} files 画像のパス (プロジェクトフォルダからの相対パス) の配列
+ * @returns {object} 評価結果
+ *   { labels, total, accuracy, matrix, samples, perLabel: [{ label, precision, recall, f1, support }], macroAverage }
+ *   matrix[i][j] は正解が labels[i] で labels[j] と予測された画像数、samples[i][j] はその画像のパスの配列
+ */
+function computeEvaluation(labelNames, actualLabels, predictedLabels, files) {
+  const labelCount = labelNames.length;
+  const matrix = labelNames.map(() => new Array(labelCount).fill(0));
+  const samples = labelNames.map(() => labelNames.map(() => []));
+
+  actualLabels.forEach((actual, index) => {
+    const predicted = predictedLabels[index];
+    matrix[actual][predicted]++;
+    samples[actual][predicted].push(files[index]);
+  });
+
+  const perLabel = labelNames.map((label, i) => {
+    const truePositive = matrix[i][i];
+    const support = matrix[i].reduce((sum, count) => sum + count, 0); // 正解が label の画像数
+    const predictedCount = matrix.reduce((sum, row) => sum + row[i], 0); // label と予測された画像数
+    const precision = safeRatio(truePositive, predictedCount);
+    const recall = safeRatio(truePositive, support);
+    const f1 = safeRatio(2 * precision * recall, precision + recall);
+    return { label, precision, recall, f1, support };
+  });
+
+  const correct = labelNames.reduce((sum, label, i) => sum + matrix[i][i], 0);
+  const supported = perLabel.filter(metrics => metrics.support > 0);
+  const average = key => safeRatio(supported.reduce((sum, metrics) => sum + metrics[key], 0), supported.length);
+
+  return {
+    labels: labelNames,
+    total: actualLabels.length,
+    accuracy: safeRatio(correct, actualLabels.length),
+    matrix: matrix,
+    samples: samples,
+    perLabel: perLabel,
+    macroAverage: { precision: average('precision'), recall: average('recall'), f1: average('f1') },
+  };
+}
+
+/**
+ * 値の平均と標準偏差 (母標準偏差) を計算する関数
+ * @param {Array<number>} values 値の配列
+ * @returns {{mean: number|null, std: number|null}} 平均と標準偏差 (値がない場合は null)
+ */
+function meanAndStd(values) {
+  if (values.length === 0) {
+    return { mean: null, std: null };
+  }
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  return { mean, std: Math.sqrt(variance) };
+}
+
+/**
+ * 交差検証の分割ごとの評価結果から、正解率と F1 の平均と標準偏差を計算する関数
+ * ラベルごとの F1 は、そのラベルの画像が検証用に含まれる分割だけで計算する
+ * @param {Array<object>} foldEvaluations 分割ごとの評価結果 (computeEvaluation の結果, ラベルの順序は共通)
+ * @returns {object} 交差検証の結果
+ *   { folds, accuracy: { mean, std }, macroF1: { mean, std }, perLabel: [{ label, f1: { mean, std }, folds }], foldResults: [{ total, accuracy, macroF1 }] }
+ */
+function summarizeCrossValidation(foldEvaluations) {
+  const labelNames = foldEvaluations[0].labels;
+  return {
+    folds: foldEvaluations.length,
+    accuracy: meanAndStd(foldEvaluations.map(evaluation => evaluation.accuracy)),
+    macroF1: meanAndStd(foldEvaluations.map(evaluation => evaluation.macroAverage.f1)),
+    perLabel: labelNames.map((label, i) => {
+      const f1Values = foldEvaluations
+        .filter(evaluation => evaluation.perLabel[i].support > 0)
+        .map(evaluation => evaluation.perLabel[i].f1);
+      return { label, f1: meanAndStd(f1Values), folds: f1Values.length };
+    }),
+    foldResults: foldEvaluations.map(evaluation => ({
+      total: evaluation.total,
+      accuracy: evaluation.accuracy,
+      macroF1: evaluation.macroAverage.f1,
+    })),
+  };
+}
+
+// モジュールをエクスポート
+module.exports = {
+  computeEvaluation: computeEvaluation,
+  meanAndStd: meanAndStd,
+  summarizeCrossValidation: summarizeCrossValidation,
+};
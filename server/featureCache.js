@@ -0,0 +1,134 @@
+const fs = require('fs-extra'); // ファイルシステム操作のモジュールをインポート
+const path = require('path'); // パス操作のモジュールをインポート
+const crypto = require('crypto'); // ハッシュ計算のモジュールをインポート
+const { glob } = require('glob'); // ファイルパターンのマッチングモジュールをインポート
+const { featureCacheDir, projectsDir } = require('./paths'); // データ保存先のパスをインポート
+
+// 特徴量のキャッシュは featureCacheDir/<画像のハッシュ>/<抽出条件>.bin に Float32 の配列として保存する
+// 同じ画像のキャッシュを 1 つのフォルダにまとめ、画像の削除・移動時にフォルダごと削除できるようにする
+// (同じ内容の画像が他のラベル・プロジェクトにある場合はキャッシュを共有するため、残っている画像がなくなった時だけ削除する)
+
+/**
+ * 画像データのハッシュを計算する関数
+ * @param {Buffer} buffer 画像ファイルの内容
+ * @returns {string} SHA-256 のハッシュ (16 進数)
+ */
+function hashContent(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * 特徴量の抽出条件を表すキーを作成する関数
+ * 抽出条件が 1 つでも異なる場合は別のキャッシュとして扱う
+ * @param {object} options 抽出条件
+ * @param {string} options.backbone バックボーン名
+ * @param {number} options.inputSize 入力画像の一辺のサイズ
+ * @param {string} options.preprocessing 前処理の識別子
+ * @returns {string} 抽出条件のキー
+ */
+function getVariantKey(options) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([options.backbone, options.inputSize, options.preprocessing]))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * キャッシュファイルのパスを返す関数
+ * @param {string} hash 画像のハッシュ
+ * @param {string} variantKey 抽出条件のキー
+ * @returns {string} キャッシュファイルのパス
+ */
+function getCachePath(hash, variantKey) {
+  return path.join(featureCacheDir, hash, `${variantKey}.bin`);
+}
+
+/**
+ * キャッシュから特徴量を読み込む関数
+ * @param {string} hash 画像のハッシュ
+ * @param {string} variantKey 抽出条件のキー
+ * @returns {Promise<Float32Array|null>} 特徴量 (キャッシュがない場合や壊れている場合は null)
+ */
+async function readCachedFeatures(hash, variantKey) {
+  try {
+    const buffer = await fs.readFile(getCachePath(hash, variantKey));
+    if (buffer.length === 0 || buffer.length % Float32Array.BYTES_PER_ELEMENT !== 0) {
+      return null; // 書き込み途中などで壊れたキャッシュは使わない
+    }
+    return new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length));
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    throw err;
+  }
+}
+
+/**
+ * 特徴量をキャッシュに保存する関数
+ * 一時ファイルに書き込んでから名前を変更し、読み込み中のプロセスが書き込み途中のファイルを読まないようにする
+ * @param {string} hash 画像のハッシュ
+ * @param {string} variantKey 抽出条件のキー
+ * @param {Float32Array} features 特徴量
+ */
+async function writeCachedFeatures(hash, variantKey, features) {
+  const cachePath = getCachePath(hash, variantKey);
+  const tempPath = `${cachePath}.${process.pid}.tmp`;
+  await fs.ensureDir(path.dirname(cachePath));
+  await fs.writeFile(tempPath, Buffer.from(features.buffer, features.byteOffset, features.byteLength));
+  await fs.rename(tempPath, cachePath);
+}
+
+/**
+ * 指定したハッシュの画像がプロジェクトのフォルダに残っているかを調べる関数
+ * すべての画像を読み込まないよう、ファイルサイズが同じ画像だけハッシュを計算する
+ * @param {string} hash 画像のハッシュ
+ * @param {number} size 画像ファイルのサイズ (バイト数)
+ * @returns {Promise<boolean>} 同じ内容の画像があるか
+ */
+async function isContentReferenced(hash, size) {
+  const files = await glob(`${projectsDir}/*/*/*`, { nodir: true }); // すべてのプロジェクト・ラベルの画像を検索
+  for (const file of files) {
+    try {
+      const stats = await fs.stat(file);
+      if (stats.size === size && hashContent(await fs.readFile(file)) === hash) {
+        return true;
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * 画像を削除・移動し、どの画像からも使われなくなった特徴量のキャッシュを削除する関数 (すべての抽出条件のキャッシュを削除する)
+ * 処理の前に画像のハッシュを計算し、処理の後に同じ内容の画像が残っていない場合だけキャッシュを削除する
+ * @param {string} filePath 画像ファイルのパス
+ * @param {function(): Promise} operation 画像を削除・移動する処理
+ */
+async function invalidateImage(filePath, operation) {
+  const buffer = await fs.readFile(filePath);
+  const hash = hashContent(buffer);
+  await operation();
+
+  // 画像の削除・移動は終わっているため、キャッシュの削除に失敗してもエラーにしない (次の削除・移動で削除される)
+  try {
+    if (!await isContentReferenced(hash, buffer.length)) {
+      await fs.remove(path.join(featureCacheDir, hash));
+    }
+  } catch (err) {
+    console.error('特徴量のキャッシュ削除エラー:', err);
+  }
+}
+
+// モジュールをエクスポート
+module.exports = {
+  hashContent: hashContent,
+  getVariantKey: getVariantKey,
+  readCachedFeatures: readCachedFeatures,
+  writeCachedFeatures: writeCachedFeatures,
+  invalidateImage: invalidateImage,
+};
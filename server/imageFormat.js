@@ -0,0 +1,249 @@
+const path = require('path'); // パス操作のモジュールをインポート
+
+// 扱える画像の形式 (アップロードと学習で共通)
+//   extensions: 拡張子 (小文字, 大文字・小文字は区別しない)
+//   mimeType: 画像を返すときの Content-Type
+//   matches: ファイルの先頭のバイト列がこの形式かを判定する関数
+const IMAGE_FORMATS = [
+  {
+    name: 'png',
+    extensions: ['.png'],
+    mimeType: 'image/png',
+    matches: buffer => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  },
+  {
+    name: 'jpeg',
+    extensions: ['.jpg', '.jpeg'],
+    mimeType: 'image/jpeg',
+    matches: buffer => startsWith(buffer, [0xff, 0xd8, 0xff]),
+  },
+  {
+    name: 'bmp',
+    extensions: ['.bmp'],
+    mimeType: 'image/bmp',
+    matches: buffer => startsWith(buffer, [0x42, 0x4d]), // "BM"
+  },
+  {
+    name: 'gif',
+    extensions: ['.gif'],
+    mimeType: 'image/gif',
+    matches: buffer => startsWith(buffer, [0x47, 0x49, 0x46, 0x38]), // "GIF8" (GIF87a / GIF89a)
+  },
+  {
+    name: 'webp',
+    extensions: ['.webp'],
+    mimeType: 'image/webp',
+    matches: buffer => startsWith(buffer, [0x52, 0x49, 0x46, 0x46]) && // "RIFF"
+      startsWith(buffer.subarray(8), [0x57, 0x45, 0x42, 0x50]), // "WEBP"
+  },
+];
+
+/**
+ * バイト列が指定のバイト列で始まるかを判定する関数
+ * @param {Buffer} buffer 判定するバイト列
+ * @param {Array<number>} signature 先頭のバイト列
+ * @returns {boolean} 始まる場合は true
+ */
+function startsWith(buffer, signature) {
+  return buffer.length >= signature.length && signature.every((byte, index) => buffer[index] === byte);
+}
+
+/**
+ * ファイル名の拡張子から画像の形式を取得する関数 (大文字・小文字は区別しない)
+ * @param {string} fileName ファイル名
+ * @returns {object|null} 画像の形式 (扱えない拡張子の場合は null)
+ */
+function getFormatByExtension(fileName) {
+  const extension = path.extname(fileName).toLowerCase();
+  return IMAGE_FORMATS.find(format => format.extensions.includes(extension)) || null;
+}
+
+/**
+ * ファイルの内容から画像の形式を判定する関数
+ * @param {Buffer} buffer ファイルの内容
+ * @returns {object|null} 画像の形式 (扱えない内容の場合は null)
+ */
+function sniffFormat(buffer) {
+  return IMAGE_FORMATS.find(format => format.matches(buffer)) || null;
+}
+
+/**
+ * 扱える画像ファイルの名前かを判定する関数
+ * @param {string} fileName ファイル名
+ * @returns {boolean} 扱える拡張子の場合は true
+ */
+function isImageFileName(fileName) {
+  return getFormatByExtension(fileName) !== null;
+}
+
+/**
+ * 画像ファイルを検査する関数
+ * 形式はファイルの内容で判定する (拡張子と内容が異なる場合も、内容が扱える形式であれば使う)
+ * @param {string} fileName ファイル名
+ * @param {Buffer} buffer ファイルの内容
+ * @returns {{format: object|null, reason: string|null}} 画像の形式と、扱えない場合の理由
+ */
+function inspectImage(fileName, buffer) {
+  if (!isImageFileName(fileName)) {
+    return { format: null, reason: `unsupported extension "${path.extname(fileName) || '(none)'}"` };
+  }
+  if (buffer.length === 0) {
+    return { format: null, reason: 'empty file' };
+  }
+  const format = sniffFormat(buffer);
+  if (!format) {
+    return { format: null, reason: 'not a supported image (unrecognized content)' };
+  }
+  return { format, reason: null };
+}
+
+/**
+ * JPEG のフレームヘッダー (SOF) から画像のサイズを読み取る関数
+ * @param {Buffer} buffer 画像ファイルの内容
+ * @returns {{width: number, height: number}|null} 画像のサイズ (読み取れない場合は null)
+ */
+function readJpegSize(buffer) {
+  let offset = 2;
+  while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset++; // 埋め草のバイト
+      continue;
+    }
+    const length = buffer.readUInt16BE(offset + 2);
+    // SOF0 - SOF15 (DHT (0xc4)・JPG (0xc8)・DAC (0xcc) を除く) に高さと幅がある
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      if (offset + 9 > buffer.length) {
+        return null;
+      }
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    if (marker === 0xda || length < 2) {
+      return null; // 画像データ (SOS) の前にフレームヘッダーがない
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+/**
+ * WebP のヘッダーから画像のサイズを読み取る関数 (非可逆 (VP8) / 可逆 (VP8L) / 拡張 (VP8X) 形式)
+ * @param {Buffer} buffer 画像ファイルの内容
+ * @returns {{width: number, height: number}|null} 画像のサイズ (読み取れない場合は null)
+ */
+function readWebpSize(buffer) {
+  if (buffer.length < 30) {
+    return null;
+  }
+  const chunk = buffer.toString('latin1', 12, 16);
+  if (chunk === 'VP8 ') {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L') {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >>> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X') {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+/**
+ * 画像をデコードせずに、ヘッダーから画像のサイズを読み取る関数
+ * @param {Buffer} buffer 画像ファイルの内容
+ * @param {object} format inspectImage で判定した画像の形式
+ * @returns {{width: number, height: number}|null} 画像のサイズ (ヘッダーが壊れている・途中で切れている場合は null)
+ */
+function readImageSize(buffer, format) {
+  let size = null;
+  if (format.name === 'png' && buffer.length >= 24) {
+    size = { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) }; // IHDR チャンク
+  } else if (format.name === 'gif' && buffer.length >= 10) {
+    size = { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) }; // 論理画面のサイズ
+  } else if (format.name === 'bmp' && buffer.length >= 26) {
+    size = { width: Math.abs(buffer.readInt32LE(18)), height: Math.abs(buffer.readInt32LE(22)) }; // 高さが負の場合は上から下への並び
+  } else if (format.name === 'jpeg') {
+    size = readJpegSize(buffer);
+  } else if (format.name === 'webp') {
+    size = readWebpSize(buffer);
+  }
+  return size && size.width > 0 && size.height > 0 ? size : null;
+}
+
+/**
+ * JPEG の EXIF から画像の向き (Orientation タグ) を読み取る関数
+ * tf.node.decodeImage は向きの情報を無視するため、前処理で向きを直すときに使う
+ * @param {Buffer} buffer 画像ファイルの内容
+ * @returns {number} 向き (1 - 8, JPEG 以外や向きの情報がない場合は 1)
+ */
+function readExifOrientation(buffer) {
+  if (!startsWith(buffer, [0xff, 0xd8])) {
+    return 1;
+  }
+  // APP1 (Exif) セグメントを探す (画像データ (SOS) の前にある)
+  let offset = 2;
+  while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+    if (marker === 0xda || length < 2) {
+      break;
+    }
+    if (marker === 0xe1 && buffer.toString('latin1', offset + 4, offset + 10) === 'Exif\0\0') {
+      const tiff = offset + 10; // TIFF ヘッダーの位置 (IFD のオフセットはここからの位置)
+      const end = Math.min(buffer.length, offset + 2 + length);
+      if (tiff + 8 > end) {
+        return 1;
+      }
+      const littleEndian = buffer.toString('latin1', tiff, tiff + 2) === 'II';
+      const read16 = position => (littleEndian ? buffer.readUInt16LE(position) : buffer.readUInt16BE(position));
+      const read32 = position => (littleEndian ? buffer.readUInt32LE(position) : buffer.readUInt32BE(position));
+      const ifd = tiff + read32(tiff + 4);
+      if (ifd + 2 > end) {
+        return 1;
+      }
+      const count = read16(ifd);
+      for (let i = 0; i < count; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (entry + 12 > end) {
+          break;
+        }
+        if (read16(entry) === 0x0112) { // Orientation タグ
+          const orientation = read16(entry + 8);
+          return orientation >= 1 && orientation <= 8 ? orientation : 1;
+        }
+      }
+      return 1;
+    }
+    offset += 2 + length;
+  }
+  return 1;
+}
+
+/**
+ * 画像データを TensorFlow.js (tf.node.decodeImage) で読み込める形式に変換する関数
+ * tf.node.decodeImage が対応していない WebP は sharp で PNG に変換する
+ * @param {Buffer} buffer 画像ファイルの内容
+ * @param {object} format inspectImage で判定した画像の形式
+ * @returns {Promise<Buffer>} PNG / JPEG / BMP / GIF の画像データ
+ */
+async function toDecodableBuffer(buffer, format) {
+  if (format.name !== 'webp') {
+    return buffer;
+  }
+  // WebP を使わない場合に sharp を読み込まないよう、ここで require する
+  const sharp = require('sharp');
+  return await sharp(buffer).png().toBuffer();
+}
+
+// モジュールをエクスポート
+module.exports = {
+  IMAGE_FORMATS: IMAGE_FORMATS,
+  getFormatByExtension: getFormatByExtension,
+  sniffFormat: sniffFormat,
+  isImageFileName: isImageFileName,
+  inspectImage: inspectImage,
+  readImageSize: readImageSize,
+  readExifOrientation: readExifOrientation,
+  toDecodableBuffer: toDecodableBuffer,
+};
@@ -0,0 +1,23 @@
+// バックボーン (特徴量抽出用のグラフモデル) をローカルのモデルストアに登録するコマンド
+// 使い方: npm run import-backbone -- <model.json を含むフォルダ> [バックボーン名]
+// グラフモデルは特徴量の抽出用、レイヤーモデルはファインチューニング用として登録する
+const path = require('path'); // パス操作のモジュールをインポート
+const backboneConfig = require('../config/backbone'); // バックボーンの設定をインポート
+const { importBackbone, getBackboneSpec } = require('./backboneStore'); // バックボーンの登録モジュールをインポート
+
+const [sourceDir, name = backboneConfig.defaultBackbone] = process.argv.slice(2);
+
+if (!sourceDir) {
+  console.error('使い方: npm run import-backbone -- <model.json を含むフォルダ> [バックボーン名]');
+  process.exit(1);
+}
+
+importBackbone(path.resolve(sourceDir), name)
+  .then(meta => {
+    const spec = getBackboneSpec(meta.name);
+    console.log(`バックボーン "${meta.name}" を ${meta.format === 'graph' ? spec.path : spec.layersPath} に登録しました`);
+  })
+  .catch(err => {
+    console.error('バックボーン登録エラー:', err.message);
+    process.exit(1);
+  });
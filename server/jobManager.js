@@ -0,0 +1,207 @@
+const { EventEmitter } = require('events'); // イベント通知のモジュールをインポート
+const { v4: uuidv4 } = require('uuid'); // ジョブ ID の生成モジュールをインポート
+
+// ジョブの状態
+const JOB_STATUS = {
+  QUEUED: 'queued', // 実行待ち
+  LOADING: 'loading', // モデルと画像の一覧の読み込み中
+  EXTRACTING: 'extracting', // 画像を分割して読み込み、特徴量を抽出中 (読み込みの進捗は loadProgress イベントで送信する)
+  TRAINING: 'training', // 学習中
+  CROSS_VALIDATING: 'crossValidating', // 交差検証中
+  SWEEPING: 'sweeping', // スイープの試行中
+  FINE_TUNING: 'fineTuning', // ファインチューニング中
+  DONE: 'done', // 完了
+  FAILED: 'failed', // 失敗
+  CANCELLED: 'cancelled', // 中断
+};
+
+// 終了した状態
+const FINISHED_STATUSES = [JOB_STATUS.DONE, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+// メモリに保持する終了済みジョブの最大数
+const MAX_FINISHED_JOBS = 50;
+
+const jobs = new Map(); // ジョブ ID → ジョブ
+const queue = []; // 実行待ちのジョブ ID (先頭から順に実行)
+let runningJobId = null; // 実行中のジョブ ID
+
+// ジョブの状態が変わったときに 'update' イベントを発行する
+const jobEvents = new EventEmitter();
+
+/**
+ * ジョブから外部に公開する情報だけを取り出す関数
+ * @param {object} job ジョブ
+ * @returns {object} 公開用のジョブ情報
+ */
+function toPublicJob(job) {
+  const { controller, run, ...publicJob } = job;
+  return publicJob;
+}
+
+/**
+ * ジョブを更新し、'update' イベントを発行する関数
+ * @param {object} job ジョブ
+ * @param {object} changes 更新する項目
+ */
+function updateJob(job, changes) {
+  Object.assign(job, changes);
+  jobEvents.emit('update', toPublicJob(job));
+}
+
+/**
+ * 古い終了済みジョブを削除する関数
+ */
+function pruneFinishedJobs() {
+  const finishedJobs = [...jobs.values()].filter(job => FINISHED_STATUSES.includes(job.status));
+  finishedJobs.slice(0, Math.max(0, finishedJobs.length - MAX_FINISHED_JOBS)).forEach(job => jobs.delete(job.id));
+}
+
+/**
+ * プロジェクトの実行待ちまたは実行中のジョブを取得する関数
+ * @param {string} projectName プロジェクト名
+ * @returns {object|null} ジョブ (ない場合は null)
+ */
+function findActiveJob(projectName) {
+  const job = [...jobs.values()].find(job => job.projectName === projectName && !FINISHED_STATUSES.includes(job.status));
+  return job ? toPublicJob(job) : null;
+}
+
+/**
+ * ジョブを取得する関数
+ * @param {string} jobId ジョブ ID
+ * @returns {object|null} ジョブ (ない場合は null)
+ */
+function getJob(jobId) {
+  const job = jobs.get(jobId);
+  return job ? toPublicJob(job) : null;
+}
+
+/**
+ * ジョブの一覧を取得する関数
+ * @param {string} projectName プロジェクト名 (省略時はすべてのプロジェクト)
+ * @returns {Array<object>} ジョブの配列 (新しい順)
+ */
+function listJobs(projectName = null) {
+  return [...jobs.values()]
+    .filter(job => !projectName || job.projectName === projectName)
+    .reverse()
+    .map(toPublicJob);
+}
+
+/**
+ * 実行待ちの先頭のジョブを実行する関数
+ * 同時に実行するジョブは 1 つだけ
+ */
+async function runNextJob() {
+  if (runningJobId || queue.length === 0) {
+    return;
+  }
+  const job = jobs.get(queue.shift());
+  runningJobId = job.id;
+  updateJob(job, { status: JOB_STATUS.LOADING, startedAt: new Date().toISOString() });
+
+  // 実行関数に渡すハンドル
+  const handle = {
+    id: job.id,
+    signal: job.controller.signal,
+    setStatus: status => updateJob(job, { status }),
+    // 以下はエポックごとに呼ばれるので 'update' は発行しない (ページを再読み込みしたときに経過を復元するために記録する)
+    setProgress: (progress) => {
+      job.progress = progress;
+      job.history.push(progress);
+    },
+    appendLog: (message) => {
+      job.logs.push({ elapsedMs: Date.now() - Date.parse(job.startedAt), message });
+    },
+  };
+
+  try {
+    const result = await job.run(handle);
+    updateJob(job, {
+      status: result.stopReason === 'cancelled' ? JOB_STATUS.CANCELLED : JOB_STATUS.DONE,
+      result: result,
+      finishedAt: new Date().toISOString(),
+    });
+  } catch (err) {
+    updateJob(job, { status: JOB_STATUS.FAILED, error: err.message, errorCode: err.code || null, finishedAt: new Date().toISOString() });
+  } finally {
+    runningJobId = null;
+    pruneFinishedJobs();
+    runNextJob(); // 次のジョブを実行
+  }
+}
+
+/**
+ * ジョブを実行待ちに追加する関数
+ * プロジェクトごとに実行待ちまたは実行中のジョブは 1 つだけ
+ * @param {string} projectName プロジェクト名
+ * @param {object} params ジョブの設定 (学習設定など)
+ * @param {function(object): Promise<object>} run ジョブの実行関数
+ *   { id, signal, setStatus, setProgress, appendLog } を受け取り、学習結果 { stopReason, ... } を返す
+ * @returns {object} 追加したジョブ
+ */
+function enqueueJob(projectName, params, run) {
+  const activeJob = findActiveJob(projectName);
+  if (activeJob) {
+    const error = new Error(`${projectName} は既に学習中です`);
+    error.code = 'JOB_ALREADY_ACTIVE';
+    error.job = activeJob;
+    throw error;
+  }
+
+  const job = {
+    id: uuidv4(),
+    projectName: projectName,
+    status: JOB_STATUS.QUEUED,
+    params: params,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    progress: null, // 最新のエポックの指標
+    history: [], // エポックごとの指標
+    logs: [], // ログ
+    result: null,
+    error: null,
+    errorCode: null, // 失敗した場合のエラーコード (例: 'SINGLE_LABEL')
+    controller: new AbortController(), // ジョブを中断するためのコントローラー
+    run: run,
+  };
+  jobs.set(job.id, job);
+  queue.push(job.id);
+  jobEvents.emit('update', toPublicJob(job));
+
+  runNextJob();
+  return toPublicJob(job);
+}
+
+/**
+ * ジョブを中断する関数
+ * 実行待ちのジョブはすぐに中断し、実行中のジョブは現在のエポックの終了時に中断する
+ * @param {string} jobId ジョブ ID
+ * @returns {object|null} 中断を要求したジョブ (終了済みまたは存在しない場合は null)
+ */
+function cancelJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job || FINISHED_STATUSES.includes(job.status)) {
+    return null;
+  }
+
+  if (job.status === JOB_STATUS.QUEUED) {
+    queue.splice(queue.indexOf(job.id), 1);
+    updateJob(job, { status: JOB_STATUS.CANCELLED, finishedAt: new Date().toISOString() });
+  } else {
+    job.controller.abort();
+  }
+  return toPublicJob(job);
+}
+
+// モジュールをエクスポート
+module.exports = {
+  JOB_STATUS: JOB_STATUS,
+  jobEvents: jobEvents,
+  enqueueJob: enqueueJob,
+  cancelJob: cancelJob,
+  getJob: getJob,
+  listJobs: listJobs,
+  findActiveJob: findActiveJob,
+};
@@ -0,0 +1,227 @@
+const fs = require('fs-extra'); // ファイルシステム操作のモジュールをインポート
+const path = require('path'); // パス操作のモジュールをインポート
+const { modelsDir } = require('./paths'); // データ保存先のパスをインポート
+
+// バージョンフォルダ名の形式 (v1, v2, ...)
+const VERSION_DIR_PATTERN = /^v(\d+)$/;
+
+/**
+ * プロジェクトのモデル保存先フォルダのパスを返す関数
+ * @param {string} projectName プロジェクト名
+ * @returns {string} モデル保存先フォルダのパス
+ */
+function getProjectModelsDir(projectName) {
+  const projectModelsDir = path.join(modelsDir, projectName);
+  if (!projectModelsDir.startsWith(modelsDir + path.sep)) {
+    throw new Error(`不正なプロジェクト名です: ${projectName}`);
+  }
+  return projectModelsDir;
+}
+
+/**
+ * バージョンフォルダのパスを返す関数
+ * @param {string} projectName プロジェクト名
+ * @param {number} version バージョン番号
+ * @returns {string} バージョンフォルダのパス
+ */
+function getVersionDir(projectName, version) {
+  return path.join(getProjectModelsDir(projectName), `v${version}`);
+}
+
+/**
+ * 既存のバージョンフォルダの番号一覧を取得する関数 (書き込み途中のものも含む)
+ * @param {string} projectName プロジェクト名
+ * @returns {Promise<Array<number>>} バージョン番号の配列 (昇順)
+ */
+async function readVersionNumbers(projectName) {
+  const projectModelsDir = getProjectModelsDir(projectName);
+  if (!await fs.pathExists(projectModelsDir)) {
+    return [];
+  }
+  const entries = await fs.readdir(projectModelsDir, { withFileTypes: true });
+  return entries
+    .filter(entry => entry.isDirectory() && VERSION_DIR_PATTERN.test(entry.name))
+    .map(entry => Number(VERSION_DIR_PATTERN.exec(entry.name)[1]))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * 新しいバージョンフォルダを確保する関数
+ * 既存の最大バージョン + 1 のフォルダを作成し、同時に確保された場合は次の番号を試す
+ * @param {string} projectName プロジェクト名
+ * @returns {Promise<number>} 確保したバージョン番号
+ */
+async function reserveVersion(projectName) {
+  await fs.ensureDir(getProjectModelsDir(projectName));
+  const numbers = await readVersionNumbers(projectName);
+  let version = numbers.length > 0 ? numbers[numbers.length - 1] + 1 : 1;
+  for (;;) {
+    try {
+      await fs.mkdir(getVersionDir(projectName, version)); // 既に存在する場合は EEXIST
+      return version;
+    } catch (err) {
+      if (err.code !== 'EEXIST') {
+        throw err;
+      }
+      version++; // 次の番号を試す
+    }
+  }
+}
+
+/**
+ * 学習済みモデルを新しいバージョンとして保存する関数
+ * バージョンフォルダには model.json / weights.bin と記録ごとの JSON ファイル (history.json など) と meta.json を書き込む
+ * @param {string} projectName プロジェクト名
+ * @param {tf.LayersModel} model 保存するモデル
+ * @param {object} meta モデルの付加情報
+ * @param {Array<string>} meta.labels 出力ユニット順のラベル名配列
+ * @param {Array<number>} meta.inputSize 入力画像サイズ (例: [224, 224])
+ * @param {object} meta.preprocessing 学習に使った前処理の仕様 (予測するときも同じ前処理をする)
+ * @param {string} meta.backbone 特徴量抽出モデルの識別子
+ * @param {string} meta.trainingMode 学習の方法 ('features' はモデルの入力が特徴量, 'fineTune' は入力が画像, 省略時は 'features')
+ * @param {number} meta.parentVersion 続きから学習した元のバージョン番号 (オプション)
+ * @param {object} meta.training 学習設定と終了理由 (オプション)
+ * @param {object} records バージョンと一緒に保存する記録 (オプション, 値が null の記録は保存しない)
+ * @param {object} records.history 学習の経過 (エポックごとの指標とログ)
+ * @param {object} records.evaluation 検証用の画像での評価結果 (混同行列とラベルごとの評価指標)
+ * @param {object} records.manifest 学習に使った画像 (パス・ハッシュ・ラベル) と条件の一覧
+ * @returns {Promise<object>} 保存したバージョンの meta 情報
+ */
+async function saveModelVersion(projectName, model, meta, records = {}) {
+  const version = await reserveVersion(projectName);
+  const versionDir = getVersionDir(projectName, version);
+
+  await model.save(`file://${versionDir}`); // model.json と weights.bin を保存
+  for (const [name, record] of Object.entries(records)) {
+    if (record) {
+      await fs.writeJson(path.join(versionDir, `${name}.json`), record); // history.json / evaluation.json / manifest.json を保存
+    }
+  }
+
+  const record = {
+    version: version,
+    createdAt: new Date().toISOString(),
+    labels: meta.labels,
+    inputSize: meta.inputSize,
+    preprocessing: meta.preprocessing || null,
+    backbone: meta.backbone,
+    trainingMode: meta.trainingMode || 'features',
+    parentVersion: meta.parentVersion || null,
+    training: meta.training || null,
+  };
+  // meta.json は最後に書き込む (meta.json があるフォルダだけを完成したバージョンとして扱う)
+  await fs.writeJson(path.join(versionDir, 'meta.json'), record, { spaces: 2 });
+  return record;
+}
+
+/**
+ * 保存済みバージョンの meta 情報を取得する関数
+ * @param {string} projectName プロジェクト名
+ * @param {number} version バージョン番号
+ * @returns {Promise<object|null>} meta 情報 (存在しない場合は null)
+ */
+async function getModelVersion(projectName, version) {
+  const metaPath = path.join(getVersionDir(projectName, version), 'meta.json');
+  if (!await fs.pathExists(metaPath)) {
+    return null;
+  }
+  return await fs.readJson(metaPath);
+}
+
+/**
+ * バージョンと一緒に保存した記録を取得する関数
+ * @param {string} projectName プロジェクト名
+ * @param {number} version バージョン番号
+ * @param {string} name 記録の名前 ('history' / 'evaluation' / 'manifest')
+ * @returns {Promise<object|null>} 記録 (存在しない場合は null)
+ */
+async function getModelRecord(projectName, version, name) {
+  const recordPath = path.join(getVersionDir(projectName, version), `${name}.json`);
+  if (!await fs.pathExists(recordPath)) {
+    return null;
+  }
+  return await fs.readJson(recordPath);
+}
+
+/**
+ * 保存済みバージョンの学習の経過を取得する関数
+ * @param {string} projectName プロジェクト名
+ * @param {number} version バージョン番号
+ * @returns {Promise<object|null>} 学習の経過 (存在しない場合は null)
+ */
+async function getModelHistory(projectName, version) {
+  return await getModelRecord(projectName, version, 'history');
+}
+
+/**
+ * 保存済みバージョンの評価結果を取得する関数
+ * @param {string} projectName プロジェクト名
+ * @param {number} version バージョン番号
+ * @returns {Promise<object|null>} 評価結果 (検証用の画像がなかった場合や存在しない場合は null)
+ */
+async function getModelEvaluation(projectName, version) {
+  return await getModelRecord(projectName, version, 'evaluation');
+}
+
+/**
+ * 保存済みバージョンのマニフェスト (学習に使った画像と条件の一覧) を取得する関数
+ * @param {string} projectName プロジェクト名
+ * @param {number} version バージョン番号
+ * @returns {Promise<object|null>} マニフェスト (存在しない場合は null)
+ */
+async function getModelManifest(projectName, version) {
+  return await getModelRecord(projectName, version, 'manifest');
+}
+
+/**
+ * 保存済みバージョンの一覧を取得する関数
+ * @param {string} projectName プロジェクト名
+ * @returns {Promise<Array<object>>} meta 情報の配列 (バージョン昇順)
+ */
+async function listModelVersions(projectName) {
+  const numbers = await readVersionNumbers(projectName);
+  const versions = await Promise.all(numbers.map(version => getModelVersion(projectName, version)));
+  return versions.filter(version => version !== null); // 書き込み途中のバージョンを除外
+}
+
+/**
+ * 使用するバージョンとして選択されている番号を取得する関数
+ * @param {string} projectName プロジェクト名
+ * @returns {Promise<number|null>} 選択中のバージョン番号 (未選択の場合は null)
+ */
+async function getActiveVersion(projectName) {
+  const activePath = path.join(getProjectModelsDir(projectName), 'active.json');
+  if (!await fs.pathExists(activePath)) {
+    return null;
+  }
+  const { version } = await fs.readJson(activePath);
+  return version;
+}
+
+/**
+ * 使用するバージョンを選択する関数
+ * @param {string} projectName プロジェクト名
+ * @param {number} version バージョン番号
+ * @returns {Promise<object>} 選択したバージョンの meta 情報
+ */
+async function setActiveVersion(projectName, version) {
+  const meta = await getModelVersion(projectName, version);
+  if (!meta) {
+    throw new Error(`バージョン v${version} が見つかりません`);
+  }
+  await fs.writeJson(path.join(getProjectModelsDir(projectName), 'active.json'), { version: meta.version });
+  return meta;
+}
+
+// モジュールをエクスポート
+module.exports = {
+  getVersionDir: getVersionDir,
+  saveModelVersion: saveModelVersion,
+  getModelVersion: getModelVersion,
+  getModelHistory: getModelHistory,
+  getModelEvaluation: getModelEvaluation,
+  getModelManifest: getModelManifest,
+  listModelVersions: listModelVersions,
+  getActiveVersion: getActiveVersion,
+  setActiveVersion: setActiveVersion,
+};
@@ -0,0 +1,30 @@
+const path = require('path'); // パス操作のモジュールをインポート
+
+// 画像やモデルなどのデータを保存するルートディレクトリ
+const dataDir = path.join(__dirname, '../images');
+
+/**
+ * ルートディレクトリ配下のパスを組み立てる関数
+ * ルートディレクトリから外れるパスが指定された場合は null を返す
+ * @param {...string} segments パスの要素
+ * @returns {string|null} 組み立てたパス
+ */
+function resolveDataPath(...segments) {
+  const resolved = path.join(dataDir, ...segments);
+  if (resolved !== dataDir && !resolved.startsWith(dataDir + path.sep)) {
+    return null; // 不正なパス (images-backup などの隣のフォルダも除く)
+  }
+  return resolved;
+}
+
+// モジュールをエクスポート
+module.exports = {
+  dataDir: dataDir,
+  projectsDir: path.join(dataDir, 'projects'), // 学習用画像 (ラベルごとのフォルダ)
+  modelsDir: path.join(dataDir, 'models'), // 学習済みモデル (バージョンごとのフォルダ)
+  configsDir: path.join(dataDir, 'configs'), // プロジェクトごとの学習設定
+  runsDir: path.join(dataDir, 'runs'), // 学習ごとの記録 (設定・データセット・指標の経過)
+  featureCacheDir: path.join(dataDir, 'cache', 'features'), // 画像ごとの特徴量のキャッシュ
+  settingsPath: path.join(dataDir, 'settings.json'), // アプリ全体の設定
+  resolveDataPath: resolveDataPath,
+};
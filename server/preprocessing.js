@@ -0,0 +1,97 @@
+const tf = require('@tensorflow/tfjs-node'); // TensorFlow.js for Node.js をインポート
+
+// 画像テンソルに前処理を適用するモジュール (子プロセスで使う)
+// 前処理の仕様の作成は TensorFlow を使わない preprocessingSpec で行い、Web サーバーのプロセスでも使えるようにする
+
+/**
+ * EXIF の向き (1 - 8) に従って画像を正しい向きに回転・反転する関数
+ * @param {tf.Tensor3D} image 画像テンソル [高さ, 幅, チャンネル]
+ * @param {number} orientation EXIF の向き (1 は変換なし)
+ * @returns {tf.Tensor3D} 向きを直した画像テンソル
+ */
+function applyOrientation(image, orientation) {
+  switch (orientation) {
+    case 2: return tf.reverse(image, 1); // 左右反転
+    case 3: return tf.reverse(image, [0, 1]); // 180 度回転
+    case 4: return tf.reverse(image, 0); // 上下反転
+    case 5: return tf.transpose(image, [1, 0, 2]); // 左上と右下を結ぶ対角線で反転
+    case 6: return tf.reverse(tf.transpose(image, [1, 0, 2]), 1); // 時計回りに 90 度回転
+    case 7: return tf.reverse(tf.transpose(image, [1, 0, 2]), [0, 1]); // 右上と左下を結ぶ対角線で反転
+    case 8: return tf.reverse(tf.transpose(image, [1, 0, 2]), 0); // 反時計回りに 90 度回転
+    default: return image;
+  }
+}
+
+/**
+ * 指定の補間方法で画像をリサイズする関数
+ * @param {tf.Tensor3D} image 画像テンソル [高さ, 幅, チャンネル]
+ * @param {Array<number>} size リサイズ後のサイズ [高さ, 幅]
+ * @param {string} interpolation 補間方法 ('bilinear' / 'nearest')
+ * @returns {tf.Tensor3D} リサイズした画像テンソル
+ */
+function resizeImage(image, size, interpolation) {
+  return interpolation === 'nearest' ? tf.image.resizeNearestNeighbor(image, size) : tf.image.resizeBilinear(image, size);
+}
+
+/**
+ * デコードした画像に前処理の仕様を適用する関数 (バックボーンの入力の範囲への変換は normalizeImages で行う)
+ * 前処理は 向きの補正 → 色の変換 → 入力サイズへのリサイズ の順に適用する
+ * @param {tf.Tensor3D} image デコードした画像テンソル [高さ, 幅, 3] (画素値は 0 - 255)
+ * @param {object} spec resolvePreprocessing で作成した前処理の仕様
+ * @param {number} orientation EXIF の向き (1 - 8, 向きの情報がない場合は 1)
+ * @returns {tf.Tensor3D} 前処理した画像テンソル [入力の高さ, 入力の幅, 3] (float32, 画素値は 0 - 1)
+ */
+function preprocessImage(image, spec, orientation = 1) {
+  return tf.tidy(() => {
+    let processed = tf.cast(image, 'float32').div(255);
+    if (spec.exifOrientation) {
+      processed = applyOrientation(processed, orientation);
+    }
+    if (spec.colorMode === 'grayscale') {
+      // 輝度 (ITU-R BT.601) を 3 チャンネルに複製する (バックボーンの入力は 3 チャンネルのまま)
+      const gray = processed.mul(tf.tensor1d([0.299, 0.587, 0.114])).sum(-1, true);
+      processed = tf.tile(gray, [1, 1, 3]);
+    }
+
+    const [height, width] = processed.shape;
+    const [targetHeight, targetWidth] = spec.inputSize;
+    if (spec.resize === 'centerCrop') {
+      // 入力と同じ縦横比の最大の領域を中央から切り抜いてリサイズする
+      const scale = Math.min(height / targetHeight, width / targetWidth);
+      const cropHeight = Math.max(1, Math.min(height, Math.round(targetHeight * scale)));
+      const cropWidth = Math.max(1, Math.min(width, Math.round(targetWidth * scale)));
+      const top = Math.floor((height - cropHeight) / 2);
+      const left = Math.floor((width - cropWidth) / 2);
+      processed = processed.slice([top, left, 0], [cropHeight, cropWidth, 3]);
+    } else if (spec.resize === 'letterbox') {
+      // 縦横比を保って入力に収まるように縮小し、余白を黒 (0) で埋める
+      const scale = Math.min(targetHeight / height, targetWidth / width);
+      const resizedHeight = Math.max(1, Math.min(targetHeight, Math.round(height * scale)));
+      const resizedWidth = Math.max(1, Math.min(targetWidth, Math.round(width * scale)));
+      const top = Math.floor((targetHeight - resizedHeight) / 2);
+      const left = Math.floor((targetWidth - resizedWidth) / 2);
+      return tf.pad(resizeImage(processed, [resizedHeight, resizedWidth], spec.interpolation), [
+        [top, targetHeight - resizedHeight - top],
+        [left, targetWidth - resizedWidth - left],
+        [0, 0],
+      ]);
+    }
+    return resizeImage(processed, spec.inputSize, spec.interpolation); // 'stretch' は縦横比を変えて入力サイズに合わせる
+  });
+}
+
+/**
+ * 0-1 に正規化された画像テンソルをバックボーンの入力の範囲に変換する関数
+ * @param {tf.Tensor} images 画像テンソル (画素値は 0 - 1)
+ * @param {string} normalization バックボーンの入力の画素値の範囲 ('0-1' または '-1-1')
+ * @returns {tf.Tensor} 変換後の画像テンソル
+ */
+function normalizeImages(images, normalization) {
+  return normalization === '-1-1' ? images.mul(2).sub(1) : images;
+}
+
+// モジュールをエクスポート
+module.exports = {
+  preprocessImage: preprocessImage,
+  normalizeImages: normalizeImages,
+};
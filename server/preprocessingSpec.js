@@ -0,0 +1,37 @@
+// 画像の前処理の仕様を作成するモジュール
+// TensorFlow を読み込まないため、Web サーバーのプロセス (設定の検証・プレビューの要求) でも使える
+
+/**
+ * 学習設定の前処理の設定とバックボーンの仕様から、実際に使う前処理の仕様を作成する関数
+ * 学習・検証・ファインチューニング・プレビューの画像の読み込みはすべてこの仕様を使い、仕様はモデルのバージョンと一緒に保存する
+ * @param {object} settings 学習設定の preprocessing
+ * @param {object} backboneSpec バックボーンの仕様 { inputSize, normalization }
+ * @returns {object} 前処理の仕様 { inputSize: [高さ, 幅], resize, interpolation, colorMode, normalization, exifOrientation }
+ *   normalization が 'auto' の場合はバックボーンの入力の画素値の範囲にする
+ */
+function resolvePreprocessing(settings, backboneSpec) {
+  return {
+    inputSize: [backboneSpec.inputSize, backboneSpec.inputSize],
+    resize: settings.resize,
+    interpolation: settings.interpolation,
+    colorMode: settings.colorMode,
+    normalization: settings.normalization === 'auto' ? backboneSpec.normalization : settings.normalization,
+    exifOrientation: settings.exifOrientation,
+  };
+}
+
+/**
+ * 前処理の仕様の識別子を返す関数 (入力サイズは含まない)
+ * 特徴量のキャッシュのキーに使い、仕様が変わった場合は別のキャッシュになる
+ * @param {object} spec resolvePreprocessing で作成した前処理の仕様
+ * @returns {string} 識別子 (例: "stretch-bilinear-rgb-0-1-exif")
+ */
+function getPreprocessingId(spec) {
+  return [spec.resize, spec.interpolation, spec.colorMode, spec.normalization, spec.exifOrientation ? 'exif' : 'raw'].join('-');
+}
+
+// モジュールをエクスポート
+module.exports = {
+  resolvePreprocessing: resolvePreprocessing,
+  getPreprocessingId: getPreprocessingId,
+};
@@ -0,0 +1,60 @@
+// シード値の最大値 (32 ビットの符号なし整数)
+const MAX_SEED = 0xffffffff;
+
+/**
+ * シード値から再現可能な乱数を返す関数を作成する関数 (mulberry32)
+ * 同じシード値からは常に同じ乱数列が得られる
+ * @param {number} seed シード値 (0 - MAX_SEED の整数)
+ * @returns {function(): number} 0 以上 1 未満の乱数を返す関数
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 新しいシード値を作成する関数 (学習設定でシード値が指定されていない場合に使う)
+ * @returns {number} シード値
+ */
+function createSeed() {
+  return Math.floor(Math.random() * (MAX_SEED + 1));
+}
+
+/**
+ * 乱数から次のシード値を作成する関数
+ * 初期化や tf.data のシャッフルなど、シード値を受け取る処理に渡す
+ * @param {function(): number} random 0 以上 1 未満の乱数を返す関数
+ * @returns {number} シード値
+ */
+function nextSeed(random) {
+  return Math.floor(random() * (MAX_SEED + 1));
+}
+
+/**
+ * 配列をその場でシャッフルする関数 (Fisher-Yates)
+ * @param {Array} array シャッフルする配列
+ * @param {function(): number} random 0 以上 1 未満の乱数を返す関数
+ * @returns {Array} シャッフルした配列 (引数と同じ配列)
+ */
+function shuffleInPlace(array, random) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+// モジュールをエクスポート
+module.exports = {
+  MAX_SEED: MAX_SEED,
+  createRandom: createRandom,
+  createSeed: createSeed,
+  nextSeed: nextSeed,
+  shuffleInPlace: shuffleInPlace,
+};
@@ -0,0 +1,210 @@
+const fs = require('fs-extra'); // ファイルシステム操作のモジュールをインポート
+const path = require('path'); // パス操作のモジュールをインポート
+const { runsDir } = require('./paths'); // データ保存先のパスをインポート
+
+// 最良の指標を選ぶ基準 (指標名 → 大きいほど良い場合は 'max', 小さいほど良い場合は 'min')
+const BEST_METRICS = {
+  loss: 'min',
+  accuracy: 'max',
+  val_loss: 'min',
+  val_accuracy: 'max',
+};
+
+// 学習の記録 ID の形式 (ジョブ ID と同じ UUID)
+const RUN_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+/**
+ * プロジェクトの学習の記録の保存先フォルダのパスを返す関数
+ * @param {string} projectName プロジェクト名
+ * @returns {string} 保存先フォルダのパス
+ */
+function getProjectRunsDir(projectName) {
+  const projectRunsDir = path.join(runsDir, projectName);
+  if (!projectRunsDir.startsWith(runsDir + path.sep)) {
+    throw new Error(`不正なプロジェクト名です: ${projectName}`);
+  }
+  return projectRunsDir;
+}
+
+/**
+ * 学習の記録のファイルパスを返す関数
+ * @param {string} projectName プロジェクト名
+ * @param {string} runId 学習の記録 ID
+ * @returns {string|null} ファイルパス (不正な ID の場合は null)
+ */
+function getRunPath(projectName, runId) {
+  if (!RUN_ID_PATTERN.test(runId)) {
+    return null;
+  }
+  return path.join(getProjectRunsDir(projectName), `${runId}.json`);
+}
+
+/**
+ * エポックごとの指標から最後の指標と最良の指標を計算する関数
+ * @param {Array<object>} epochs エポックごとの指標 { epoch, loss, accuracy, val_loss, val_accuracy, ... }
+ * @returns {{finalMetrics: object|null, bestMetrics: object}} 最後のエポックの指標と、指標ごとの最良の値 { value, epoch }
+ */
+function summarizeMetrics(epochs) {
+  const last = epochs[epochs.length - 1];
+  const finalMetrics = last
+    ? Object.fromEntries(Object.keys(BEST_METRICS).map(name => [name, last[name] ?? null]))
+    : null;
+
+  const bestMetrics = {};
+  Object.entries(BEST_METRICS).forEach(([name, direction]) => {
+    epochs.forEach(metrics => {
+      const value = metrics[name];
+      if (value === null || value === undefined) {
+        return;
+      }
+      const best = bestMetrics[name];
+      if (!best || (direction === 'max' ? value > best.value : value < best.value)) {
+        bestMetrics[name] = { value: value, epoch: metrics.epoch };
+      }
+    });
+  });
+  return { finalMetrics, bestMetrics };
+}
+
+/**
+ * 学習の記録を保存する関数
+ * 一時ファイルに書き込んでから置き換えるため、読み込み中に書き込み途中の記録が見えることはない
+ * @param {object} run 学習の記録 (id と projectName を含む)
+ * @returns {Promise<object>} 保存した学習の記録 (最後・最良の指標を計算済み)
+ */
+async function saveRun(run) {
+  const runPath = getRunPath(run.projectName, run.id);
+  if (!runPath) {
+    throw new Error(`不正な学習の記録 ID です: ${run.id}`);
+  }
+  const record = { ...run, ...summarizeMetrics(run.epochs) };
+  await fs.ensureDir(path.dirname(runPath));
+  const tmpPath = `${runPath}.tmp`;
+  await fs.writeJson(tmpPath, record);
+  await fs.rename(tmpPath, runPath);
+  return record;
+}
+
+/**
+ * 学習の記録を取得する関数
+ * @param {string} projectName プロジェクト名
+ * @param {string} runId 学習の記録 ID
+ * @returns {Promise<object|null>} 学習の記録 (存在しない場合は null)
+ */
+async function getRun(projectName, runId) {
+  const runPath = getRunPath(projectName, runId);
+  if (!runPath || !await fs.pathExists(runPath)) {
+    return null;
+  }
+  return await fs.readJson(runPath);
+}
+
+/**
+ * 学習の記録の一覧を取得する関数
+ * 一覧にはエポックごとの指標とログを含めない (比較するときは getRun で個別に取得する)
+ * @param {string} projectName プロジェクト名
+ * @returns {Promise<Array<object>>} 学習の記録の配列 (新しい順)
+ */
+async function listRuns(projectName) {
+  const projectRunsDir = getProjectRunsDir(projectName);
+  if (!await fs.pathExists(projectRunsDir)) {
+    return [];
+  }
+  const fileNames = (await fs.readdir(projectRunsDir)).filter(fileName => fileName.endsWith('.json'));
+  const runs = [];
+  for (const fileName of fileNames) {
+    try {
+      const { epochs, logs, ...summary } = await fs.readJson(path.join(projectRunsDir, fileName));
+      runs.push(summary);
+    } catch (err) {
+      console.error(`学習の記録の読み込みに失敗しました: ${fileName}`, err);
+    }
+  }
+  return runs.sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+}
+
+/**
+ * 学習の開始時に記録を作成し、学習中のイベントを記録に反映する記録オブジェクトを作成する関数
+ * 記録は開始時・データセットの確定時・終了時に保存する (保存は順番に行い、失敗しても学習は続ける)
+ * @param {object} options 記録の初期値
+ * @param {string} options.id 学習の記録 ID (ジョブ ID)
+ * @param {string} options.projectName プロジェクト名
+ * @param {object} options.config 学習設定
+ * @param {string} options.backbone 使用するバックボーン名
+ * @param {object} options.sweep スイープの設定 { method, metric, seed } (スイープ以外は null)
+ * @param {object} options.promotedFrom スイープの試行の設定で学習する場合の { runId, trialIndex } (オプション)
+ * @param {number} options.parentVersion 続きから学習する元のバージョン番号 (オプション)
+ * @returns {object} { run, record(event, payload), finish(changes) }
+ */
+function startRun({ id, projectName, config, backbone, sweep = null, promotedFrom = null, parentVersion = null }) {
+  const startedAt = new Date().toISOString();
+  const run = {
+    id: id,
+    projectName: projectName,
+    type: sweep ? 'sweep' : 'train', // 'train' (通常の学習) / 'sweep' (スイープ)
+    status: 'running', // 'running' / 'done' / 'cancelled' / 'failed'
+    createdAt: startedAt,
+    startedAt: startedAt,
+    finishedAt: null,
+    config: config,
+    backbone: backbone,
+    seed: null, // 使用したシード値 (runInfo で受け取る)
+    dataset: null, // データセットの内訳 (runInfo で受け取る)
+    epochs: [], // エポックごとの指標
+    logs: [], // ログ { elapsedMs, message }
+    stopReason: null,
+    epochsRun: 0,
+    modelVersion: null, // 保存したモデルのバージョン番号
+    crossValidation: null, // 交差検証の結果 (交差検証を行った場合)
+    // スイープの試行 (完了した順, 終了時に良い順に並べ替える)
+    sweep: sweep ? { method: sweep.method, metric: sweep.metric, seed: sweep.seed, trialCount: null, trials: [] } : null,
+    promotedFrom: promotedFrom, // 元になったスイープの試行 { runId, trialIndex }
+    parentVersion: parentVersion, // 続きから学習した元のバージョン番号 (最初から学習した場合は null)
+    error: null, // 失敗した場合の { code, message, phase }
+  };
+
+  let saving = Promise.resolve();
+  const persist = () => {
+    saving = saving
+      .then(() => saveRun(run))
+      .catch(err => console.error('学習の記録の保存エラー:', err));
+    return saving;
+  };
+  persist();
+
+  return {
+    run: run,
+    // 学習中のイベントを記録に反映する
+    record: (event, payload) => {
+      if (event === 'trainMetrics') {
+        run.epochs.push(payload);
+        run.epochsRun = payload.epoch + 1;
+      } else if (event === 'log') {
+        run.logs.push({ elapsedMs: Date.now() - Date.parse(run.startedAt), message: payload });
+      } else if (event === 'runInfo') {
+        run.seed = payload.seed;
+        run.dataset = payload.dataset;
+        persist();
+      } else if (event === 'sweepTrial' && run.sweep) {
+        const { completed, count, ...trial } = payload;
+        run.sweep.trialCount = count;
+        run.sweep.trials.push(trial);
+        persist();
+      }
+    },
+    // 学習の終了時に結果を記録して保存する
+    finish: (changes) => {
+      Object.assign(run, changes, { finishedAt: new Date().toISOString() });
+      return persist();
+    },
+  };
+}
+
+// モジュールをエクスポート
+module.exports = {
+  summarizeMetrics: summarizeMetrics,
+  startRun: startRun,
+  saveRun: saveRun,
+  getRun: getRun,
+  listRuns: listRuns,
+};
@@ -4,6 +4,19 @@ const fs = require('fs-extra');
 const path = require('path');
 const ejs = require('ejs'); // EJSをインポート
 const { v4: uuidv4 } = require('uuid'); 
+const paths = require('./paths'); // データ保存先のパス
+const modelStore = require('./modelStore'); // 学習済みモデルの保存・取得
+const trainConfig = require('./trainConfig'); // 学習設定の検証・保存
+const jobManager = require('./jobManager'); // 学習ジョブの実行待ち・状態管理
+const runStore = require('./runStore'); // 学習ごとの記録の保存・取得
+const { createSweepTrials, TRIAL_OVERRIDES } = require('./sweep'); // スイープの設定の検証と試行の作成
+const { runTraining, runPreview, runPreflight } = require('./trainRunner'); // 子プロセスでの学習・プレビュー・データセットの確認の実行
+const featureCache = require('./featureCache'); // 画像ごとの特徴量のキャッシュ
+const imageFormat = require('./imageFormat'); // 扱える画像の形式の判定
+const settings = require('./settings'); // アプリ全体の設定
+const { listBackbones, getBackboneSpec, validateInputSize } = require('./backboneStore'); // バックボーンのレジストリ
+const { resolvePreprocessing } = require('./preprocessingSpec'); // 画像の前処理の仕様 (TensorFlow を読み込まない)
+const backboneConfig = require('../config/backbone'); // バックボーンの設定
 const app = express();
 const port = 3000;
 
@@ -12,13 +25,143 @@ const http = require('http'); // http モジュールを require
 const server = http.createServer(app); // HTTP サーバーを作成
 const io = require('socket.io')(server); // Socket.IO を初期化
 
-const uploadDir = path.join(__dirname, '../images');
+const uploadDir = paths.dataDir;
 
 // uploadsディレクトリがなければ作成する
 if (!fs.existsSync(uploadDir)) {
   fs.mkdirSync(uploadDir);
 }
 
+// プロジェクトのページを開いているクライアントが参加するルーム名を返す関数
+function projectRoom(projectName) {
+  return `project:${projectName}`;
+}
+
+// ジョブの状態が変わったらプロジェクトのページに通知
+jobManager.jobEvents.on('update', (job) => {
+  io.to(projectRoom(job.projectName)).emit('jobStatus', job);
+});
+
+/**
+ * 学習の失敗を通知する learnFailed イベントの内容を作成する関数
+ * 学習を始める前の確認で失敗した場合も、学習中に失敗した場合も同じ形で通知する
+ * @param {string} code エラーコード (例: 'INVALID_CONFIG', 'SINGLE_LABEL')
+ * @param {string} message エラーメッセージ
+ * @param {string} phase 失敗した処理段階 ('validating' (学習を始める前の確認) / 'preflight' (データセットの確認) / 'queued' / 'loading' / 'training' など)
+ * @returns {{code: string, message: string, phase: string}} learnFailed イベントの内容
+ */
+function learnFailure(code, message, phase = 'validating') {
+  return { code, message, phase };
+}
+
+/**
+ * 学習ジョブを追加する前にデータセットを確認する関数
+ * すべての画像を読み込んでハッシュを計算するため、確認は子プロセスで行う
+ * 確認結果は preflightReport イベントで要求したクライアントに送信する
+ * 学習できない問題がある場合は learnFailed イベントを送信し、警告がある場合はクライアントが確認 (confirmWarnings) するまで学習を始めない
+ * @param {object} socket 要求したクライアントのソケット
+ * @param {string} projectName プロジェクト名
+ * @param {object} config 検証済みの学習設定
+ * @param {string} backbone 使用するバックボーン名 (入力サイズの確認に使う)
+ * @param {boolean} confirmWarnings 警告を確認済みか
+ * @returns {Promise<boolean>} 学習を始めてよいか
+ */
+async function checkDataset(socket, projectName, config, backbone, confirmWarnings) {
+  let report;
+  try {
+    report = await runPreflight(path.join(uploadDir, 'projects', projectName), config, getBackboneSpec(backbone, config.inputSize).inputSize);
+  } catch (err) {
+    console.error('データセット確認エラー:', err);
+    socket.emit('learnFailed', learnFailure('PREFLIGHT_FAILED', `データセットの確認に失敗しました: ${err.message}`, 'preflight'));
+    return false;
+  }
+  if (!report.ok) {
+    socket.emit('preflightReport', { projectName, report, needsConfirmation: false });
+    const code = report.errors.length === 1 ? report.errors[0].code : 'PREFLIGHT_FAILED';
+    socket.emit('learnFailed', learnFailure(code, `データセットに学習できない問題があります: ${report.errors.map(issue => issue.message).join(' / ')}`, 'preflight'));
+    return false;
+  }
+  if (report.warnings.length > 0 && !confirmWarnings) {
+    socket.emit('preflightReport', { projectName, report, needsConfirmation: true });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * 学習ジョブ (通常の学習またはスイープ) を実行待ちに追加する関数
+ * 学習の進捗はプロジェクトのページを開いているすべてのクライアントに送信し、学習ごとの記録 (設定・データセット・指標の経過・結果) を保存する
+ * 失敗した場合は learnFailed イベントを送信し、学習の記録にもエラーコード・メッセージ・処理段階を残す
+ * @param {object} socket 要求したクライアントのソケット (ジョブを追加できない場合はエラーを送信する)
+ * @param {string} projectName プロジェクト名
+ * @param {object} params ジョブの設定
+ * @param {object} params.config 検証済みの学習設定
+ * @param {string} params.backbone 使用するバックボーン名
+ * @param {object} params.sweep スイープの設定 (スイープの場合のみ)
+ * @param {Array<object>} params.trials スイープの試行の配列 (スイープの場合のみ)
+ * @param {object} params.promotedFrom スイープの試行の設定で学習する場合の { runId, trialIndex } (オプション)
+ * @param {number} params.parentVersion 続きから学習する元のバージョン番号 (オプション)
+ */
+function enqueueTrainingJob(socket, projectName, params) {
+  const { config, backbone, sweep = null, trials = null, promotedFrom = null, parentVersion = null } = params;
+  const room = io.to(projectRoom(projectName));
+
+  try {
+    const projectPath = path.join(uploadDir, 'projects', projectName);
+    jobManager.enqueueJob(projectName, { config, backbone, sweep, promotedFrom, parentVersion }, (job) => {
+      const runRecorder = runStore.startRun({ id: job.id, projectName, config, backbone, sweep, promotedFrom, parentVersion });
+      let phase = jobManager.JOB_STATUS.LOADING; // 失敗したときに通知する処理段階
+
+      // エポックごとの指標をジョブの進捗と学習の記録に残しながら Socket.IO で送信
+      const emitter = {
+        emit: (event, payload) => {
+          runRecorder.record(event, payload);
+          if (event === 'trainMetrics') {
+            job.setProgress(payload);
+          } else if (event === 'log') {
+            job.appendLog(payload);
+          }
+          room.emit(event, payload);
+        },
+      };
+      // 学習は子プロセスで実行 (学習中も Web サーバーが応答でき、学習が異常終了してもサーバーは止まらない)
+      const options = sweep
+        ? { task: 'sweep', config, backbone, sweep, trials }
+        : { projectName, config, backbone, parentVersion, sweepTrial: promotedFrom !== null };
+      const onPhase = (status) => {
+        phase = status;
+        job.setStatus(status);
+      };
+      return runTraining(projectPath, emitter, { ...options, signal: job.signal, onPhase })
+        .then(async (result) => {
+          // 'auto' で学習した場合は、使用したバックボーンをプロジェクトに記録する (以降の学習も同じバックボーンを使う)
+          if (config.backbone === 'auto' && result.modelVersion) {
+            await trainConfig.saveProjectTrainConfig(projectName, { backbone });
+          }
+          await runRecorder.finish({
+            status: result.stopReason === 'cancelled' ? 'cancelled' : 'done',
+            stopReason: result.stopReason,
+            epochsRun: result.epochsRun,
+            modelVersion: result.modelVersion ? result.modelVersion.version : null,
+            crossValidation: result.crossValidation || null,
+            ...(result.sweep ? { sweep: result.sweep } : {}), // 試行を順位付けした結果
+          });
+          return result;
+        })
+        .catch(async (err) => {
+          console.error('学習エラー:', err);
+          const failure = learnFailure(err.code || 'TRAINING_FAILED', err.message, phase);
+          await runRecorder.finish({ status: 'failed', error: failure });
+          room.emit('learnFailed', failure);
+          err.code = failure.code; // ジョブの状態にも同じエラーコードを残す
+          throw err; // ジョブを失敗として記録
+        });
+    });
+  } catch (err) {
+    socket.emit('learnFailed', learnFailure(err.code || 'ENQUEUE_FAILED', `学習を開始できません: ${err.message}`, 'queued'));
+  }
+}
+
 io.on('connection', (socket) => {
   console.log('クライアントが接続しました');
 
@@ -28,15 +171,21 @@ io.on('connection', (socket) => {
   const uploadPath = path.join(uploadDir, 'projects', projectName, labelName);
 
     try {
+      // 扱える形式の画像かをファイルの内容で確認 (学習で読み込めない画像は保存しない)
+      const buffer = Buffer.from(fileData);
+      const { format, reason } = imageFormat.inspectImage(fileName, buffer);
+      if (reason) {
+        return socket.emit('uploadError', { error: 'ファイルアップロード失敗', details: `${fileName}: ${reason}` });
+      }
+
       // アップロード先ディレクトリが存在しない場合は作成
       await fs.ensureDir(uploadPath);
 
-      // ファイル名を UUID に変更
-      const fileExtension = path.extname(fileName); // 拡張子を取得
-      const newFileName = `${uuidv4()}${fileExtension}`; 
+      // ファイル名を UUID に変更 (拡張子は内容から判定した形式の小文字の拡張子にそろえる)
+      const newFileName = `${uuidv4()}${format.extensions[0]}`;
       // ファイルを保存 (Blob データを直接保存)
       const filePath = path.join(uploadPath, newFileName);
-      await fs.writeFile(filePath, fileData); 
+      await fs.writeFile(filePath, buffer);
       // 成功メッセージをクライアントに送信
       socket.emit('uploadSuccess', { message: 'ファイルアップロード成功', fileName: newFileName });
       }
@@ -75,8 +224,8 @@ io.on('connection', (socket) => {
         await fs.mkdir(path.dirname(targetPath));
       }
 
-      // 画像を移動
-      await fs.move(sourcePath, targetPath);
+      // 画像を移動し、使われなくなった特徴量のキャッシュを削除
+      await featureCache.invalidateImage(sourcePath, () => fs.move(sourcePath, targetPath));
 
       // 成功メッセージをクライアントに送信
       socket.emit('moveImageSuccess', { message: '画像が移動されました' });
@@ -109,8 +258,8 @@ io.on('connection', (socket) => {
         return socket.emit('deleteImageError', { error: 'ファイルが見つかりません' });
       }
 
-      // ファイルを削除
-      await fs.unlink(filePath);
+      // ファイルを削除し、使われなくなった特徴量のキャッシュを削除
+      await featureCache.invalidateImage(filePath, () => fs.unlink(filePath));
 
       // 成功メッセージをクライアントに送信
       socket.emit('deleteImageSuccess', { message: 'ファイル削除成功' });
@@ -223,17 +372,23 @@ io.on('connection', (socket) => {
       // アップロード先ディレクトリを作成
       await fs.ensureDir(uploadPath);
 
-      // 各ファイルを移動
+      // 各ファイルを移動 (扱えない形式のファイルは保存せず、理由を返す)
+      const skipped = [];
       await Promise.all(
         files.map(async (file) => {
           const fileData = Buffer.from(new Uint8Array(file.fileData)); // ArrayBuffer から Buffer に変換
+          const { reason } = imageFormat.inspectImage(file.fileName, fileData);
+          if (reason) {
+            skipped.push({ fileName: file.fileName, reason });
+            return;
+          }
           const destination = path.join(uploadPath, file.fileName);
           await fs.writeFile(destination, fileData); // Blob データを直接保存
         })
       );
 
       // 成功メッセージをクライアントに送信
-      socket.emit('uploadFolderSuccess', { message: 'フォルダのアップロードに成功しました。', folderName: folderName });
+      socket.emit('uploadFolderSuccess', { message: 'フォルダのアップロードに成功しました。', folderName: folderName, skipped: skipped });
     } catch (err) {
       console.error('ファイルアップロードエラー:', err);
       socket.emit('uploadFolderError', { error: 'フォルダのアップロードに失敗しました。', details: err.message });
@@ -243,12 +398,162 @@ io.on('connection', (socket) => {
 
   // 学習開始イベント
   socket.on('yourBeginLearnMsg',async (data) => {
-    const { learnTransferModel } = require('./TFhelper'); 
     const { projectName } = data;
     const projectPath = path.join(uploadDir, 'projects', projectName);
     console.log(projectName);
     console.log(projectPath);
-    learnTransferModel(projectPath,socket);
+
+    // 送信された学習設定をプロジェクトの既定の設定に上書きして検証し、使用するバックボーンを決める
+    let config;
+    let backbone;
+    try {
+      const result = trainConfig.validateTrainConfig(data.config, await trainConfig.getProjectTrainConfig(projectName));
+      if (result.errors.length > 0) {
+        return socket.emit('learnFailed', learnFailure('INVALID_CONFIG', `学習設定が不正です: ${result.errors.join(' / ')}`));
+      }
+      config = result.config;
+      backbone = await settings.resolveBackbone(config);
+    } catch (err) {
+      console.error('学習設定取得エラー:', err);
+      return socket.emit('learnFailed', learnFailure(err.code || 'CONFIG_LOAD_FAILED', `学習設定の取得に失敗しました: ${err.message}`));
+    }
+
+    // 続きから学習する場合は、元のバージョンと同じバックボーン・中間層のユニット数・入力サイズで学習する
+    const parentVersion = data.parentVersion ?? null;
+    if (parentVersion !== null) {
+      try {
+        const parent = Number.isInteger(parentVersion) ? await modelStore.getModelVersion(projectName, parentVersion) : null;
+        if (!parent) {
+          return socket.emit('learnFailed', learnFailure('PARENT_NOT_FOUND', `元にするモデルが見つかりません: v${parentVersion}`));
+        }
+        if (parent.trainingMode !== 'features') {
+          return socket.emit('learnFailed', learnFailure('PARENT_INCOMPATIBLE', `続きから学習できないモデルです: v${parentVersion} はファインチューニングしたモデルです`));
+        }
+        if (config.crossValidation.enabled) {
+          return socket.emit('learnFailed', learnFailure('INVALID_CONFIG', '学習設定が不正です: 交差検証と続きからの学習は同時に行えません'));
+        }
+        backbone = parent.backbone;
+        if (parent.training) {
+          config = { ...config, hiddenUnits: parent.training.config.hiddenUnits };
+        }
+        if (parent.inputSize) {
+          config = { ...config, inputSize: parent.inputSize[0] };
+        }
+      } catch (err) {
+        console.error('モデル取得エラー:', err);
+        return socket.emit('learnFailed', learnFailure('PARENT_LOAD_FAILED', `元にするモデルの取得に失敗しました: ${err.message}`));
+      }
+    }
+
+    // 入力サイズを指定した場合は、バックボーンのレジストリで使えるサイズかを確認する
+    const inputSizeError = validateInputSize(backbone, config.inputSize);
+    if (inputSizeError) {
+      return socket.emit('learnFailed', learnFailure('INVALID_CONFIG', `学習設定が不正です: ${inputSizeError}`));
+    }
+
+    // データセットを確認する (警告がある場合は、クライアントが確認してから confirmWarnings を付けて送り直す)
+    if (!await checkDataset(socket, projectName, config, backbone, data.confirmWarnings === true)) {
+      return;
+    }
+    enqueueTrainingJob(socket, projectName, { config, backbone, parentVersion });
+  });
+
+  // スイープ開始イベント (学習設定を変えた複数の試行を 1 つのジョブとして実行し、検証用の指標で順位付けする)
+  socket.on('startSweep', async (data) => {
+    const { projectName } = data;
+
+    // 基準の学習設定を検証し、試行ごとの学習設定を作成する
+    let config;
+    let backbone;
+    let sweepResult;
+    try {
+      const result = trainConfig.validateTrainConfig(data.config, await trainConfig.getProjectTrainConfig(projectName));
+      if (result.errors.length > 0) {
+        return socket.emit('learnFailed', learnFailure('INVALID_CONFIG', `学習設定が不正です: ${result.errors.join(' / ')}`));
+      }
+      config = result.config;
+      backbone = await settings.resolveBackbone(config);
+      sweepResult = createSweepTrials(data.sweep, config);
+      if (sweepResult.errors.length > 0) {
+        return socket.emit('learnFailed', learnFailure('INVALID_SWEEP', `スイープの設定が不正です: ${sweepResult.errors.join(' / ')}`));
+      }
+    } catch (err) {
+      console.error('スイープ設定取得エラー:', err);
+      return socket.emit('learnFailed', learnFailure(err.code || 'CONFIG_LOAD_FAILED', `スイープの設定の取得に失敗しました: ${err.message}`));
+    }
+
+    // 入力サイズを指定した場合は、バックボーンのレジストリで使えるサイズかを確認する
+    const inputSizeError = validateInputSize(backbone, config.inputSize);
+    if (inputSizeError) {
+      return socket.emit('learnFailed', learnFailure('INVALID_CONFIG', `学習設定が不正です: ${inputSizeError}`));
+    }
+
+    // データセットを確認する (警告がある場合は、クライアントが確認してから confirmWarnings を付けて送り直す)
+    if (!await checkDataset(socket, projectName, config, backbone, data.confirmWarnings === true)) {
+      return;
+    }
+    enqueueTrainingJob(socket, projectName, { config, backbone, sweep: sweepResult.spec, trials: sweepResult.trials });
+  });
+
+  // スイープの試行の学習設定でモデルを学習するイベント (学習したモデルは新しいバージョンとして保存される)
+  socket.on('promoteSweepTrial', async (data) => {
+    const { projectName, runId, trialIndex } = data;
+
+    let config;
+    let backbone;
+    try {
+      const run = await runStore.getRun(projectName, runId);
+      const trial = run && run.sweep ? run.sweep.trials.find(trial => trial.index === trialIndex) : null;
+      if (!trial) {
+        return socket.emit('learnFailed', learnFailure('TRIAL_NOT_FOUND', `スイープの試行が見つかりません: ${runId} #${trialIndex}`));
+      }
+      // 保存後に検証ルールが変わった場合に備えて、試行の学習設定を検証し直す (試行と同じ条件で学習するため、固定する項目で上書きする)
+      const result = trainConfig.validateTrainConfig({ ...trial.config, ...TRIAL_OVERRIDES }, await trainConfig.getProjectTrainConfig(projectName));
+      if (result.errors.length > 0) {
+        return socket.emit('learnFailed', learnFailure('INVALID_CONFIG', `試行の学習設定が不正です: ${result.errors.join(' / ')}`));
+      }
+      config = result.config;
+      backbone = run.backbone; // スイープと同じバックボーンで学習する
+    } catch (err) {
+      console.error('スイープの試行取得エラー:', err);
+      return socket.emit('learnFailed', learnFailure(err.code || 'TRIAL_LOAD_FAILED', `スイープの試行の取得に失敗しました: ${err.message}`));
+    }
+
+    // 入力サイズを指定した場合は、バックボーンのレジストリで使えるサイズかを確認する
+    const inputSizeError = validateInputSize(backbone, config.inputSize);
+    if (inputSizeError) {
+      return socket.emit('learnFailed', learnFailure('INVALID_CONFIG', `学習設定が不正です: ${inputSizeError}`));
+    }
+
+    // データセットを確認する (警告がある場合は、クライアントが確認してから confirmWarnings を付けて送り直す)
+    if (!await checkDataset(socket, projectName, config, backbone, data.confirmWarnings === true)) {
+      return;
+    }
+    enqueueTrainingJob(socket, projectName, { config, backbone, promotedFrom: { runId, trialIndex } });
+  });
+
+  // 学習中断イベント
+  socket.on('cancelLearn', (data) => {
+    const { projectName } = data;
+    const activeJob = jobManager.findActiveJob(projectName);
+    if (!activeJob) {
+      return socket.emit('log', `${projectName} は学習中ではありません`);
+    }
+    // 実行待ちの場合はすぐに、実行中の場合は現在のエポックの終了時 (画像読み込み中の場合は読み込み中のバッチの終了時) に打ち切る
+    jobManager.cancelJob(activeJob.id);
+    socket.emit('log', 'cancel requested');
+  });
+
+  // プロジェクトのページを開いたときのイベント (ページを再読み込みした場合も実行中のジョブの通知を受け取る)
+  socket.on('joinProject', (data) => {
+    const { projectName } = data;
+    socket.join(projectRoom(projectName));
+
+    // 実行待ちまたは実行中のジョブがあれば現在の状態を送信
+    const activeJob = jobManager.findActiveJob(projectName);
+    if (activeJob) {
+      socket.emit('jobStatus', activeJob);
+    }
   });
   
 });
@@ -327,7 +632,8 @@ app.get('/images', async (req, res) => {
   if (imagePath) {
     try {
       const imageData = await fs.readFile(imagePath);
-      res.setHeader('Content-Type', 'image/jpeg'); // ファイルタイプに応じて適切なMIMEタイプを設定
+      const format = imageFormat.sniffFormat(imageData) || imageFormat.getFormatByExtension(imagePath);
+      res.setHeader('Content-Type', format ? format.mimeType : 'image/jpeg'); // ファイルの内容に応じた MIME タイプを設定
       res.send(imageData);
     } catch (err) {
       console.error('画像取得エラー:', err);
@@ -363,6 +669,228 @@ app.get('/project/:projectName', async (req, res) => {
   }
 });
 
+// 学習済みモデルのバージョン一覧取得 API
+app.get('/models/:projectName', async (req, res) => {
+  const projectName = req.params.projectName;
+
+  try {
+    const versions = await modelStore.listModelVersions(projectName);
+    const activeVersion = await modelStore.getActiveVersion(projectName);
+    res.json({ versions, activeVersion });
+  } catch (err) {
+    console.error('モデル一覧取得エラー:', err);
+    res.status(500).json({ error: 'モデル一覧取得失敗', details: err.message });
+  }
+});
+
+// 学習の経過 (エポックごとの指標とログ) 取得 API
+app.get('/models/:projectName/:version/history', async (req, res) => {
+  const { projectName } = req.params;
+  const version = Number(req.params.version);
+
+  try {
+    const history = Number.isInteger(version) ? await modelStore.getModelHistory(projectName, version) : null;
+    if (!history) {
+      return res.status(404).json({ error: '学習の経過が見つかりません' });
+    }
+    res.json(history);
+  } catch (err) {
+    console.error('学習の経過取得エラー:', err);
+    res.status(500).json({ error: '学習の経過取得失敗', details: err.message });
+  }
+});
+
+// 評価結果 (検証用の画像での混同行列とラベルごとの評価指標) 取得 API
+app.get('/models/:projectName/:version/evaluation', async (req, res) => {
+  const { projectName } = req.params;
+  const version = Number(req.params.version);
+
+  try {
+    const evaluation = Number.isInteger(version) ? await modelStore.getModelEvaluation(projectName, version) : null;
+    if (!evaluation) {
+      return res.status(404).json({ error: '評価結果が見つかりません' });
+    }
+    res.json(evaluation);
+  } catch (err) {
+    console.error('評価結果取得エラー:', err);
+    res.status(500).json({ error: '評価結果取得失敗', details: err.message });
+  }
+});
+
+// マニフェスト (学習に使った画像のパス・ハッシュ・ラベルと学習の条件) 取得 API
+app.get('/models/:projectName/:version/manifest', async (req, res) => {
+  const { projectName } = req.params;
+  const version = Number(req.params.version);
+
+  try {
+    const manifest = Number.isInteger(version) ? await modelStore.getModelManifest(projectName, version) : null;
+    if (!manifest) {
+      return res.status(404).json({ error: 'マニフェストが見つかりません' });
+    }
+    res.json(manifest);
+  } catch (err) {
+    console.error('マニフェスト取得エラー:', err);
+    res.status(500).json({ error: 'マニフェスト取得失敗', details: err.message });
+  }
+});
+
+// 学習の記録の一覧 (エポックごとの指標とログを除く) 取得 API
+app.get('/runs/:projectName', async (req, res) => {
+  try {
+    res.json(await runStore.listRuns(req.params.projectName));
+  } catch (err) {
+    console.error('学習の記録一覧取得エラー:', err);
+    res.status(500).json({ error: '学習の記録一覧取得失敗', details: err.message });
+  }
+});
+
+// 学習の記録 (設定・データセット・エポックごとの指標・結果) 取得 API
+app.get('/runs/:projectName/:runId', async (req, res) => {
+  const { projectName, runId } = req.params;
+
+  try {
+    const run = await runStore.getRun(projectName, runId);
+    if (!run) {
+      return res.status(404).json({ error: '学習の記録が見つかりません' });
+    }
+    res.json(run);
+  } catch (err) {
+    console.error('学習の記録取得エラー:', err);
+    res.status(500).json({ error: '学習の記録取得失敗', details: err.message });
+  }
+});
+
+// 使用するモデルバージョンの選択 API
+app.put('/models/:projectName/active', async (req, res) => {
+  const projectName = req.params.projectName;
+  const version = Number(req.body.version);
+
+  if (!Number.isInteger(version) || version < 1) {
+    return res.status(400).json({ error: '不正なバージョンです' });
+  }
+
+  try {
+    const meta = await modelStore.setActiveVersion(projectName, version);
+    res.json({ message: `v${meta.version} を選択しました`, activeVersion: meta.version });
+  } catch (err) {
+    console.error('モデル選択エラー:', err);
+    res.status(404).json({ error: 'モデル選択失敗', details: err.message });
+  }
+});
+
+// 学習設定取得 API
+app.get('/train-config/:projectName', async (req, res) => {
+  const projectName = req.params.projectName;
+
+  try {
+    const config = await trainConfig.getProjectTrainConfig(projectName);
+    res.json({ config, defaults: trainConfig.DEFAULT_TRAIN_CONFIG });
+  } catch (err) {
+    console.error('学習設定取得エラー:', err);
+    res.status(500).json({ error: '学習設定取得失敗', details: err.message });
+  }
+});
+
+// 学習設定保存 API
+app.put('/train-config/:projectName', async (req, res) => {
+  const projectName = req.params.projectName;
+
+  try {
+    const { config, errors } = await trainConfig.saveProjectTrainConfig(projectName, req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: '学習設定が不正です', details: errors.join(' / '), errors });
+    }
+    res.json({ message: '学習設定を保存しました', config });
+  } catch (err) {
+    console.error('学習設定保存エラー:', err);
+    res.status(500).json({ error: '学習設定保存失敗', details: err.message });
+  }
+});
+
+// データ拡張のプレビュー API
+// { labelName, imageName, augmentation, preprocessing, count } を受け取り、前処理して拡張した画像 (PNG の Data URL) を返す
+app.post('/augmentation/:projectName/preview', async (req, res) => {
+  const projectName = req.params.projectName;
+  const { labelName, imageName, augmentation, preprocessing } = req.body;
+  const count = Math.min(Math.max(Number(req.body.count) || 6, 1), 12); // 作成する枚数 (1 - 12 枚)
+
+  const imagePath = labelName && imageName ? paths.resolveDataPath('projects', projectName, labelName, imageName) : null;
+  if (!imagePath || !await fs.pathExists(imagePath)) {
+    return res.status(404).json({ error: '画像が見つかりません' });
+  }
+
+  try {
+    // 保存済みの学習設定に、送られてきたデータ拡張と前処理の設定を上書きして検証
+    const { config, errors } = trainConfig.validateTrainConfig(
+      { augmentation: augmentation || {}, preprocessing: preprocessing || {} },
+      await trainConfig.getProjectTrainConfig(projectName)
+    );
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'データ拡張の設定が不正です', details: errors.join(' / '), errors });
+    }
+
+    const backboneName = await settings.resolveBackbone(config);
+    const inputSizeError = validateInputSize(backboneName, config.inputSize);
+    if (inputSizeError) {
+      return res.status(400).json({ error: 'データ拡張の設定が不正です', details: inputSizeError, errors: [inputSizeError] });
+    }
+    const backboneSpec = getBackboneSpec(backboneName, config.inputSize);
+    const images = await runPreview(imagePath, config.augmentation, resolvePreprocessing(config.preprocessing, backboneSpec), count);
+    res.json({ images });
+  } catch (err) {
+    console.error('データ拡張プレビューエラー:', err);
+    res.status(500).json({ error: 'データ拡張プレビュー失敗', details: err.message });
+  }
+});
+
+// バックボーン一覧取得 API
+app.get('/backbones', async (req, res) => {
+  try {
+    res.json(await listBackbones());
+  } catch (err) {
+    console.error('バックボーン一覧取得エラー:', err);
+    res.status(500).json({ error: 'バックボーン一覧取得失敗', details: err.message });
+  }
+});
+
+// アプリ全体の設定取得 API
+app.get('/settings', async (req, res) => {
+  try {
+    res.json({ settings: await settings.getSettings(), optimization: backboneConfig.optimization });
+  } catch (err) {
+    console.error('設定取得エラー:', err);
+    res.status(500).json({ error: '設定取得失敗', details: err.message });
+  }
+});
+
+// アプリ全体の設定保存 API
+app.put('/settings', async (req, res) => {
+  try {
+    const result = await settings.saveSettings(req.body);
+    if (result.errors.length > 0) {
+      return res.status(400).json({ error: '設定が不正です', details: result.errors.join(' / '), errors: result.errors });
+    }
+    res.json({ message: '設定を保存しました', settings: result.settings });
+  } catch (err) {
+    console.error('設定保存エラー:', err);
+    res.status(500).json({ error: '設定保存失敗', details: err.message });
+  }
+});
+
+// 学習ジョブ一覧取得 API (?projectName= でプロジェクトを絞り込む)
+app.get('/jobs', (req, res) => {
+  res.json(jobManager.listJobs(req.query.projectName || null));
+});
+
+// 学習ジョブ取得 API
+app.get('/jobs/:jobId', (req, res) => {
+  const job = jobManager.getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'ジョブが見つかりません' });
+  }
+  res.json(job);
+});
+
 // ラベル情報を取得する関数
 async function getLabelsForProject(projectName) {
   const projectDir = path.join(uploadDir, 'projects', projectName);
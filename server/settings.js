@@ -0,0 +1,64 @@
+const fs = require('fs-extra'); // ファイルシステム操作のモジュールをインポート
+const { settingsPath } = require('./paths'); // データ保存先のパスをインポート
+const backboneConfig = require('../config/backbone'); // バックボーンの設定をインポート
+
+// アプリ全体の設定の既定値
+const DEFAULT_SETTINGS = {
+  optimization: 'accuracy', // 最適化の方針 ('accuracy' / 'speed')
+};
+
+/**
+ * アプリ全体の設定を取得する関数
+ * @returns {Promise<object>} 設定 (保存されていない項目は既定値)
+ */
+async function getSettings() {
+  if (!await fs.pathExists(settingsPath)) {
+    return { ...DEFAULT_SETTINGS };
+  }
+  return { ...DEFAULT_SETTINGS, ...await fs.readJson(settingsPath) };
+}
+
+/**
+ * アプリ全体の設定を保存する関数
+ * @param {object} input 保存する設定 (一部の項目だけでもよい)
+ * @returns {Promise<{settings: object, errors: Array<string>}>} 保存した設定とエラーメッセージの配列 (エラーがある場合は保存しない)
+ */
+async function saveSettings(input) {
+  const errors = [];
+  const settings = await getSettings();
+
+  if (input.optimization !== undefined) {
+    const values = Object.keys(backboneConfig.optimization);
+    if (values.includes(input.optimization)) {
+      settings.optimization = input.optimization;
+    } else {
+      errors.push(`optimization は ${values.join(' / ')} のいずれかを指定してください`);
+    }
+  }
+
+  if (errors.length === 0) {
+    await fs.writeJson(settingsPath, settings, { spaces: 2 });
+  }
+  return { settings, errors };
+}
+
+/**
+ * 学習設定から使用するバックボーン名を決める関数
+ * 学習設定の backbone が 'auto' の場合は Setting ページの最適化の方針に対応するバックボーンを使う
+ * @param {object} config 検証済みの学習設定
+ * @returns {Promise<string>} バックボーン名
+ */
+async function resolveBackbone(config) {
+  if (config.backbone !== 'auto') {
+    return config.backbone;
+  }
+  const { optimization } = await getSettings();
+  return backboneConfig.optimization[optimization] || backboneConfig.defaultBackbone;
+}
+
+// モジュールをエクスポート
+module.exports = {
+  getSettings: getSettings,
+  saveSettings: saveSettings,
+  resolveBackbone: resolveBackbone,
+};
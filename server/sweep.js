@@ -0,0 +1,191 @@
+const trainConfig = require('./trainConfig'); // 学習設定の検証モジュールをインポート
+const { createRandom, createSeed } = require('./random'); // 再現可能な乱数のモジュールをインポート
+
+// 1 回のスイープで実行する試行の最大数
+const MAX_TRIALS = 100;
+
+// 1 つのパラメータに指定できる候補の最大数
+const MAX_CANDIDATES = 10;
+
+// データ拡張の強さで倍率をかける設定項目 (学習設定の augmentation の項目)
+const AUGMENTATION_STRENGTH_FIELDS = ['rotation', 'zoom', 'brightness', 'contrast'];
+
+// 探索できるパラメータ (候補を指定しなかったパラメータは基準の学習設定の値を使う)
+//   rule: 候補の値の検証ルール (学習設定と同じ形式)
+const SWEEP_PARAMETERS = {
+  learningRate: { rule: trainConfig.FIELD_RULES.learningRate },
+  hiddenUnits: { rule: trainConfig.FIELD_RULES.hiddenUnits },
+  dropout: { rule: trainConfig.FIELD_RULES.dropout },
+  epochs: { rule: trainConfig.FIELD_RULES.epochs },
+  // 基準の学習設定のデータ拡張の強さ (回転・拡大・明るさ・コントラスト) にかける倍率 (0 の場合はデータ拡張なし)
+  augmentationStrength: { rule: { type: 'number', min: 0, max: 5 } },
+};
+
+// 試行の学習設定で固定する項目 (試行は特徴量だけで学習し、交差検証はしない)
+// 試行を昇格して学習し直す場合も同じ項目で上書きし、順位付けした試行と同じ条件で学習する
+const TRIAL_OVERRIDES = {
+  trainingMode: 'features',
+  crossValidation: { enabled: false },
+};
+
+// 順位付けに使う検証用の指標 (大きいほど良い場合は 'max', 小さいほど良い場合は 'min')
+// 指標は各試行の最後のエポックの値 (早期終了しても最良のエポックの重みには戻さないため、保存されるモデルの値と一致する)
+const SWEEP_METRICS = {
+  val_accuracy: 'max',
+  val_loss: 'min',
+};
+
+// スイープの設定の既定値
+const DEFAULT_SWEEP_SPEC = {
+  method: 'grid', // 'grid' (すべての組み合わせ) / 'random' (組み合わせからランダムに trials 個)
+  trials: 10, // ランダムサーチの試行数
+  metric: 'val_accuracy', // 順位付けに使う検証用の指標
+  space: {}, // パラメータ名 → 候補の値の配列
+};
+
+/**
+ * 候補の値の組み合わせをすべて列挙する関数
+ * @param {Array<[string, Array]>} entries [パラメータ名, 候補の値の配列] の配列
+ * @returns {Array<object>} パラメータ名 → 値 のオブジェクトの配列
+ */
+function cartesianProduct(entries) {
+  return entries.reduce(
+    (combinations, [name, values]) => combinations.flatMap(combination => values.map(value => ({ ...combination, [name]: value }))),
+    [{}]
+  );
+}
+
+/**
+ * 試行のパラメータを学習設定に上書きする項目を作成する関数
+ * データ拡張の強さは基準の学習設定の値に倍率をかけ、検証ルールの上限で打ち切る
+ * @param {object} baseConfig 基準の学習設定
+ * @param {object} params 試行のパラメータ
+ * @returns {object} validateTrainConfig に渡す上書きする項目
+ */
+function toConfigOverrides(baseConfig, params) {
+  const { augmentationStrength, ...overrides } = params;
+  if (augmentationStrength !== undefined) {
+    const augmentationRules = trainConfig.FIELD_RULES.augmentation.fields;
+    overrides.augmentation = { enabled: augmentationStrength > 0 };
+    AUGMENTATION_STRENGTH_FIELDS.forEach(field => {
+      overrides.augmentation[field] = Math.min(baseConfig.augmentation[field] * augmentationStrength, augmentationRules[field].max);
+    });
+  }
+  return overrides;
+}
+
+/**
+ * スイープの設定を検証し、試行ごとの学習設定を作成する関数
+ * グリッドサーチはすべての組み合わせを、ランダムサーチは組み合わせから重複なく trials 個をシード値から選ぶ
+ * @param {object} input スイープの設定 { method, trials, metric, space }
+ * @param {object} baseConfig 基準の学習設定 (検証済み)
+ * @returns {{spec: object, trials: Array<object>, errors: Array<string>}}
+ *   検証済みのスイープの設定 (seed を含む)、試行の配列 [{ index, params, config }]、エラーメッセージの配列
+ */
+function createSweepTrials(input, baseConfig) {
+  const errors = [];
+  const spec = { ...DEFAULT_SWEEP_SPEC, ...(input || {}) };
+
+  if (!['grid', 'random'].includes(spec.method)) {
+    errors.push('method は grid / random のいずれかを指定してください');
+  }
+  if (!Object.keys(SWEEP_METRICS).includes(spec.metric)) {
+    errors.push(`metric は ${Object.keys(SWEEP_METRICS).join(' / ')} のいずれかを指定してください`);
+  }
+  if (!Number.isInteger(spec.trials) || spec.trials < 1 || spec.trials > MAX_TRIALS) {
+    errors.push(`trials は 1 以上 ${MAX_TRIALS} 以下の整数で指定してください`);
+  }
+  if (typeof spec.space !== 'object' || spec.space === null || Array.isArray(spec.space)) {
+    errors.push('space はオブジェクトで指定してください');
+    return { spec, trials: [], errors };
+  }
+
+  // パラメータごとの候補を検証 (重複は除く)
+  const entries = [];
+  for (const [name, values] of Object.entries(spec.space)) {
+    const parameter = SWEEP_PARAMETERS[name];
+    if (!parameter) {
+      errors.push(`探索できないパラメータです: ${name}`);
+      continue;
+    }
+    if (!Array.isArray(values) || values.length === 0 || values.length > MAX_CANDIDATES) {
+      errors.push(`${name} の候補は 1 個以上 ${MAX_CANDIDATES} 個以下の配列で指定してください`);
+      continue;
+    }
+    const uniqueValues = [...new Set(values)];
+    const invalid = uniqueValues.find(value => {
+      const { rule } = parameter;
+      return typeof value !== 'number' || !Number.isFinite(value) ||
+        (rule.type === 'integer' && !Number.isInteger(value)) ||
+        value < rule.min || value > rule.max;
+    });
+    if (invalid !== undefined) {
+      errors.push(`${name} の候補 ${invalid} が不正です (${parameter.rule.min} 以上 ${parameter.rule.max} 以下)`);
+      continue;
+    }
+    entries.push([name, uniqueValues]);
+  }
+  if (entries.length === 0 && errors.length === 0) {
+    errors.push('探索するパラメータの候補を 1 つ以上指定してください');
+  }
+  if (errors.length > 0) {
+    return { spec, trials: [], errors };
+  }
+
+  let combinations = cartesianProduct(entries);
+  if (spec.method === 'grid' && combinations.length > MAX_TRIALS) {
+    errors.push(`組み合わせが多すぎます (${combinations.length} 個, 最大 ${MAX_TRIALS} 個)`);
+    return { spec, trials: [], errors };
+  }
+  // ランダムサーチは組み合わせをシード値からシャッフルして先頭から選ぶ (同じシード値なら同じ試行になる)
+  spec.seed = baseConfig.seed ?? createSeed();
+  if (spec.method === 'random') {
+    const random = createRandom(spec.seed);
+    combinations = combinations
+      .map(combination => ({ combination, order: random() }))
+      .sort((a, b) => a.order - b.order)
+      .slice(0, spec.trials)
+      .map(({ combination }) => combination);
+  }
+
+  // 試行ごとの学習設定を作成 (すべての試行で同じシード値を使い、同じ分割・同じ初期化の条件で比べる)
+  const trials = [];
+  combinations.forEach((params, index) => {
+    const result = trainConfig.validateTrainConfig({ ...toConfigOverrides(baseConfig, params), ...TRIAL_OVERRIDES, seed: spec.seed }, baseConfig);
+    if (result.errors.length > 0) {
+      errors.push(`試行 ${index + 1}: ${result.errors.join(' / ')}`);
+    }
+    trials.push({ index, params, config: result.config });
+  });
+  return { spec, trials, errors };
+}
+
+/**
+ * 試行を検証用の指標で順位付けする関数 (指標がない試行は最後)
+ * @param {Array<object>} trials 試行の配列 [{ metrics: 最後のエポックの指標 { val_accuracy, val_loss, ... }, ... }]
+ * @param {string} metric 順位付けに使う指標
+ * @returns {Array<object>} 良い順に並べ替えた試行の配列 (各試行に rank (1 から) を追加する)
+ */
+function rankTrials(trials, metric) {
+  const direction = SWEEP_METRICS[metric] === 'max' ? -1 : 1;
+  const valueOf = trial => (trial.metrics ? trial.metrics[metric] ?? null : null);
+  return trials
+    .slice()
+    .sort((a, b) => {
+      if (valueOf(a) === null || valueOf(b) === null) {
+        return (valueOf(a) === null) - (valueOf(b) === null);
+      }
+      return direction * (valueOf(a) - valueOf(b));
+    })
+    .map((trial, index) => ({ ...trial, rank: index + 1 }));
+}
+
+// モジュールをエクスポート
+module.exports = {
+  MAX_TRIALS: MAX_TRIALS,
+  SWEEP_PARAMETERS: SWEEP_PARAMETERS,
+  SWEEP_METRICS: SWEEP_METRICS,
+  TRIAL_OVERRIDES: TRIAL_OVERRIDES,
+  createSweepTrials: createSweepTrials,
+  rankTrials: rankTrials,
+};
@@ -0,0 +1,310 @@
+const fs = require('fs-extra'); // ファイルシステム操作のモジュールをインポート
+const path = require('path'); // パス操作のモジュールをインポート
+const { configsDir } = require('./paths'); // データ保存先のパスをインポート
+const backboneConfig = require('../config/backbone'); // バックボーンの設定をインポート
+const { MAX_SEED } = require('./random'); // シード値の最大値をインポート
+
+// 学習設定の既定値
+const DEFAULT_TRAIN_CONFIG = {
+  epochs: 100, // 学習エポック数
+  hiddenUnits: 64, // 中間層のユニット数
+  dropout: 0, // 中間層の出力をランダムに 0 にする割合 (0 でドロップアウトなし)
+  optimizer: 'adam', // 最適化手法
+  learningRate: 0.001, // 学習率
+  batchSize: 32, // バッチサイズ
+  inputSize: null, // 入力画像の一辺のサイズ (null の場合はバックボーンの入力サイズ, 指定できるサイズはバックボーンのレジストリで確認する)
+  backbone: 'auto', // 使用するバックボーン名 ('auto' の場合は Setting ページの最適化の方針で決め、学習後にプロジェクトに記録する)
+  trainingMode: 'features', // 'features' (特徴量だけで学習) / 'fineTune' (続けてバックボーンの上位の層も学習)
+  validationSplit: 0.2, // 検証用に取り分ける画像の割合 (ラベルごと, 0 で検証なし)
+  seed: null, // シャッフル・分割・データ拡張・重みの初期化に使うシード値 (null の場合は学習ごとに作成して記録する)
+  labelMode: 'exclude', // 学習に使うラベルの選び方 ('exclude' (excludedLabels 以外のすべて) / 'include' (includedLabels のみ))
+  excludedLabels: ['temp'], // 'exclude' で学習に使わないラベル (一時置き場のラベルは既定で除外し、新しいラベルは学習に使う)
+  includedLabels: [], // 'include' で学習に使うラベル (新しいラベルは追加するまで学習に使わない)
+  classBalance: 'none', // ラベルごとのサンプル数の偏りの補正 ('none' / 'classWeight' (重み付け) / 'oversample' (少ないラベルを増やす) / 'undersample' (多いラベルを減らす))
+  earlyStopping: {
+    enabled: false, // 改善が止まったら学習を打ち切るか
+    monitor: 'val_loss', // 監視する指標
+    patience: 10, // 改善がないまま待つエポック数
+    minDelta: 0, // 改善とみなす最小の変化量
+  },
+  crossValidation: {
+    enabled: false, // 層化 k 分割交差検証で評価するか (validationSplit の代わりに、すべての画像を順に検証用に使う)
+    folds: 5, // 分割数 (k)
+    trainFinalModel: true, // 交差検証の後に、すべての画像で最終的なモデルを学習して保存するか
+  },
+  preprocessing: {
+    resize: 'stretch', // 入力サイズへの合わせ方 ('stretch' (縦横比を変えて合わせる) / 'letterbox' (縦横比を保って縮小し、余白を黒で埋める) / 'centerCrop' (縦横比を保って中央を切り抜く))
+    interpolation: 'bilinear', // リサイズの補間方法 ('bilinear' / 'nearest')
+    colorMode: 'rgb', // 色の扱い ('rgb' / 'grayscale' (輝度を 3 チャンネルに複製する))
+    normalization: 'auto', // 画素値の範囲 ('auto' (バックボーンに合わせる) / '0-1' / '-1-1')
+    exifOrientation: true, // JPEG の EXIF の向きの情報に従って回転・反転するか
+  },
+  fineTune: {
+    layers: 20, // 学習するバックボーンの上位の層の数
+    learningRate: 0.00001, // ファインチューニングの学習率 (learningRate より小さくする)
+    epochs: 10, // ファインチューニングのエポック数
+  },
+  augmentation: {
+    enabled: false, // 学習用の画像を拡張するか (検証用の画像は拡張しない)
+    multiplier: 4, // 1 枚の画像から作成する拡張画像の枚数
+    horizontalFlip: true, // 左右反転
+    verticalFlip: false, // 上下反転
+    rotation: 15, // 回転の最大角度 (度)
+    zoom: 0.1, // 切り抜いて拡大する最大の割合
+    brightness: 0.1, // 明るさを変える最大の割合
+    contrast: 0.1, // コントラストを変える最大の割合
+  },
+};
+
+// 設定項目ごとの検証ルール
+const FIELD_RULES = {
+  epochs: { type: 'integer', min: 1, max: 1000 },
+  hiddenUnits: { type: 'integer', min: 1, max: 4096 },
+  dropout: { type: 'number', min: 0, max: 0.9 },
+  optimizer: { type: 'enum', values: ['adam', 'sgd', 'rmsprop'] },
+  learningRate: { type: 'number', min: 0.000001, max: 1 },
+  batchSize: { type: 'integer', min: 1, max: 1024 },
+  inputSize: { type: 'integer', min: 32, max: 1024, nullable: true },
+  backbone: { type: 'enum', values: ['auto', ...backboneConfig.registry.map(backbone => backbone.name)] },
+  trainingMode: { type: 'enum', values: ['features', 'fineTune'] },
+  validationSplit: { type: 'number', min: 0, max: 0.5 },
+  seed: { type: 'integer', min: 0, max: MAX_SEED, nullable: true },
+  labelMode: { type: 'enum', values: ['exclude', 'include'] },
+  excludedLabels: { type: 'stringList', maxLength: 1000 },
+  includedLabels: { type: 'stringList', maxLength: 1000 },
+  classBalance: { type: 'enum', values: ['none', 'classWeight', 'oversample', 'undersample'] },
+  earlyStopping: {
+    type: 'object',
+    fields: {
+      enabled: { type: 'boolean' },
+      monitor: { type: 'enum', values: ['val_loss', 'val_accuracy', 'loss', 'accuracy'] },
+      patience: { type: 'integer', min: 1, max: 1000 },
+      minDelta: { type: 'number', min: 0, max: 1 },
+    },
+  },
+  crossValidation: {
+    type: 'object',
+    fields: {
+      enabled: { type: 'boolean' },
+      folds: { type: 'integer', min: 2, max: 20 },
+      trainFinalModel: { type: 'boolean' },
+    },
+  },
+  preprocessing: {
+    type: 'object',
+    fields: {
+      resize: { type: 'enum', values: ['stretch', 'letterbox', 'centerCrop'] },
+      interpolation: { type: 'enum', values: ['bilinear', 'nearest'] },
+      colorMode: { type: 'enum', values: ['rgb', 'grayscale'] },
+      normalization: { type: 'enum', values: ['auto', '0-1', '-1-1'] },
+      exifOrientation: { type: 'boolean' },
+    },
+  },
+  fineTune: {
+    type: 'object',
+    fields: {
+      layers: { type: 'integer', min: 1, max: 500 },
+      learningRate: { type: 'number', min: 0.0000001, max: 0.1 },
+      epochs: { type: 'integer', min: 1, max: 1000 },
+    },
+  },
+  augmentation: {
+    type: 'object',
+    fields: {
+      enabled: { type: 'boolean' },
+      multiplier: { type: 'integer', min: 1, max: 20 },
+      horizontalFlip: { type: 'boolean' },
+      verticalFlip: { type: 'boolean' },
+      rotation: { type: 'number', min: 0, max: 180 },
+      zoom: { type: 'number', min: 0, max: 0.5 },
+      brightness: { type: 'number', min: 0, max: 1 },
+      contrast: { type: 'number', min: 0, max: 1 },
+    },
+  },
+};
+
+/**
+ * 設定項目の値を 1 つ検証する関数
+ * @param {string} key 設定項目名
+ * @param {object} rule 検証ルール
+ * @param {*} value 設定値
+ * @returns {string|null} エラーメッセージ (問題がなければ null)
+ */
+function validateField(key, rule, value) {
+  if (rule.nullable && value === null) {
+    return null; // 未設定を許可する項目
+  }
+  if (rule.type === 'enum') {
+    return rule.values.includes(value) ? null : `${key} は ${rule.values.join(' / ')} のいずれかを指定してください`;
+  }
+  if (rule.type === 'boolean') {
+    return typeof value === 'boolean' ? null : `${key} は true / false で指定してください`;
+  }
+  if (rule.type === 'stringList') {
+    if (!Array.isArray(value) || !value.every(item => typeof item === 'string' && item !== '')) {
+      return `${key} は空でない文字列の配列で指定してください`;
+    }
+    return value.length <= rule.maxLength ? null : `${key} は ${rule.maxLength} 個以下で指定してください`;
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return `${key} は数値で指定してください`;
+  }
+  if (rule.type === 'integer' && !Number.isInteger(value)) {
+    return `${key} は整数で指定してください`;
+  }
+  if (value < rule.min || value > rule.max) {
+    return `${key} は ${rule.min} 以上 ${rule.max} 以下で指定してください`;
+  }
+  return null;
+}
+
+/**
+ * 検証ルールに従って設定を検証し、基準となる設定に上書きする関数
+ * type が 'object' の項目は入れ子の設定として再帰的に検証する
+ * @param {object} rules 検証ルール
+ * @param {object} input 検証する設定
+ * @param {object} base 基準となる設定
+ * @param {string} prefix エラーメッセージに付ける親の項目名 (最上位は空文字)
+ * @param {Array<string>} errors エラーメッセージを追加する配列
+ * @returns {object} 上書きした設定
+ */
+function mergeFields(rules, input, base, prefix, errors) {
+  const config = { ...base };
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    errors.push(`${prefix || '学習設定'} はオブジェクトで指定してください`);
+    return config;
+  }
+
+  for (const [key, rawValue] of Object.entries(input)) {
+    const rule = rules[key];
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (!rule) {
+      errors.push(`不明な設定項目です: ${name}`);
+      continue;
+    }
+    if (rule.type === 'object') {
+      config[key] = mergeFields(rule.fields, rawValue, base[key], name, errors);
+      continue;
+    }
+    const value = ['integer', 'number'].includes(rule.type) && typeof rawValue === 'string' && rawValue.trim() !== ''
+      ? Number(rawValue) // フォームからの文字列を数値に変換
+      : rawValue;
+    const error = validateField(name, rule, value);
+    if (error) {
+      errors.push(error);
+    } else {
+      config[key] = rule.type === 'stringList' ? [...new Set(value)] : value; // 重複を除く
+    }
+  }
+  return config;
+}
+
+/**
+ * 入れ子の設定まで既定値で補う関数
+ * @param {object} defaults 既定値
+ * @param {object} config 補う設定
+ * @returns {object} 既定値で補った設定
+ */
+function withDefaults(defaults, config) {
+  const merged = { ...defaults, ...config };
+  for (const [key, value] of Object.entries(defaults)) {
+    if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+      merged[key] = withDefaults(value, config[key] || {});
+    }
+  }
+  return merged;
+}
+
+/**
+ * 学習設定を検証し、基準となる設定に上書きした設定を返す関数
+ * 数値の項目は文字列で渡されても数値に変換して検証する
+ * @param {object} input 検証する設定 (一部の項目だけでもよい)
+ * @param {object} base 基準となる設定 (省略時は既定値)
+ * @returns {{config: object, errors: Array<string>}} 検証済みの設定とエラーメッセージの配列
+ */
+function validateTrainConfig(input, base = DEFAULT_TRAIN_CONFIG) {
+  const errors = [];
+  const baseConfig = withDefaults(DEFAULT_TRAIN_CONFIG, base);
+
+  if (input === null || input === undefined) {
+    return { config: baseConfig, errors };
+  }
+  const config = mergeFields(FIELD_RULES, input, baseConfig, '', errors);
+  return { config, errors };
+}
+
+/**
+ * 学習設定のラベルの選び方に従って、ラベルを学習に使うかを判定する関数
+ * @param {object} config 学習設定 (検証済み)
+ * @param {string} label ラベル名
+ * @returns {boolean} 学習に使う場合は true
+ */
+function isTrainingLabel(config, label) {
+  return config.labelMode === 'include' ? config.includedLabels.includes(label) : !config.excludedLabels.includes(label);
+}
+
+/**
+ * 学習設定のラベルの選び方をログ用のテキストにする関数
+ * @param {object} config 学習設定 (検証済み)
+ * @returns {string|null} ログ用のテキスト (既定の選び方で除外するラベルがない場合は null)
+ */
+function describeLabelSelection(config) {
+  if (config.labelMode === 'include') {
+    return `included labels: ${config.includedLabels.join(', ') || '(none)'}`;
+  }
+  return config.excludedLabels.length > 0 ? `excluded labels: ${config.excludedLabels.join(', ')}` : null;
+}
+
+/**
+ * プロジェクトの学習設定ファイルのパスを返す関数
+ * @param {string} projectName プロジェクト名
+ * @returns {string} 設定ファイルのパス
+ */
+function getConfigPath(projectName) {
+  const configPath = path.join(configsDir, `${projectName}.json`);
+  if (path.dirname(configPath) !== configsDir) {
+    throw new Error(`不正なプロジェクト名です: ${projectName}`);
+  }
+  return configPath;
+}
+
+/**
+ * プロジェクトの既定の学習設定を取得する関数
+ * @param {string} projectName プロジェクト名
+ * @returns {Promise<object>} 学習設定 (保存されていない項目は既定値)
+ */
+async function getProjectTrainConfig(projectName) {
+  const configPath = getConfigPath(projectName);
+  if (!await fs.pathExists(configPath)) {
+    return withDefaults(DEFAULT_TRAIN_CONFIG, {});
+  }
+  // 保存後に検証ルールが変わった場合に備えて、保存済みの設定も検証し直す
+  const { config } = validateTrainConfig(await fs.readJson(configPath));
+  return config;
+}
+
+/**
+ * プロジェクトの既定の学習設定を保存する関数
+ * @param {string} projectName プロジェクト名
+ * @param {object} input 保存する設定
+ * @returns {Promise<{config: object, errors: Array<string>}>} 保存した設定とエラーメッセージの配列 (エラーがある場合は保存しない)
+ */
+async function saveProjectTrainConfig(projectName, input) {
+  const result = validateTrainConfig(input, await getProjectTrainConfig(projectName));
+  if (result.errors.length === 0) {
+    await fs.ensureDir(configsDir);
+    await fs.writeJson(getConfigPath(projectName), result.config, { spaces: 2 });
+  }
+  return result;
+}
+
+// モジュールをエクスポート
+module.exports = {
+  DEFAULT_TRAIN_CONFIG: DEFAULT_TRAIN_CONFIG,
+  FIELD_RULES: FIELD_RULES,
+  validateTrainConfig: validateTrainConfig,
+  isTrainingLabel: isTrainingLabel,
+  describeLabelSelection: describeLabelSelection,
+  getProjectTrainConfig: getProjectTrainConfig,
+  saveProjectTrainConfig: saveProjectTrainConfig,
+};
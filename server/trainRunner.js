@@ -0,0 +1,146 @@
+const { fork } = require('child_process'); // 子プロセスのモジュールをインポート
+const path = require('path'); // パス操作のモジュールをインポート
+
+// 学習用の子プロセス (読み込んだバックボーンを再利用するため、学習が終わっても終了させない)
+let worker = null;
+
+// 子プロセスで実行中の学習・プレビュー・データセットの確認 (ジョブ ID → { emitter, onPhase, resolve, reject })
+const pendingTasks = new Map();
+let nextJobId = 1;
+
+/**
+ * 子プロセスからのメッセージを処理する関数
+ * @param {object} message 子プロセスからのメッセージ
+ */
+function handleWorkerMessage(message) {
+  const task = pendingTasks.get(message.jobId);
+  if (!task) {
+    return;
+  }
+
+  switch (message.type) {
+    case 'emit':
+      task.emitter.emit(message.event, message.payload); // Socket.IO に転送
+      break;
+    case 'phase':
+      task.onPhase(message.phase);
+      break;
+    case 'result':
+      pendingTasks.delete(message.jobId);
+      task.resolve(message.result);
+      break;
+    case 'error': {
+      pendingTasks.delete(message.jobId);
+      const error = new Error(message.error.message);
+      error.code = message.error.code;
+      task.reject(error);
+      break;
+    }
+  }
+}
+
+/**
+ * 学習用の子プロセスを取得する関数 (起動していない場合は起動する)
+ * @returns {ChildProcess} 学習用の子プロセス
+ */
+function getWorker() {
+  if (worker) {
+    return worker;
+  }
+
+  worker = fork(path.join(__dirname, 'trainWorker.js'));
+  worker.on('message', handleWorkerMessage);
+  worker.on('error', (err) => {
+    console.error('学習プロセスエラー:', err);
+  });
+
+  // 子プロセスが異常終了した場合は実行中の学習を失敗にする (次の学習で子プロセスを起動し直す)
+  worker.on('exit', (code, signal) => {
+    console.error(`学習プロセスが終了しました (${signal || `code ${code}`})`);
+    worker = null;
+    const error = new Error(`学習プロセスが異常終了しました (${signal || `code ${code}`})`);
+    error.code = 'WORKER_CRASHED';
+    pendingTasks.forEach(task => task.reject(error));
+    pendingTasks.clear();
+  });
+  return worker;
+}
+
+/**
+ * 子プロセスで転移学習を実行する関数
+ * 引数と戻り値は TFhelper の learnTransferModel と同じ (options.task が 'sweep' の場合は runSweep と同じ)
+ * @param {string} folderPath 学習データのフォルダパス
+ * @param {object} emitter 学習の進捗を送信する Socket.IO のソケットなど (emit を持つオブジェクト)
+ * @param {object} options 追加オプション (learnTransferModel と同じ)
+ * @returns {Promise<object>} 学習結果 { stopReason, epochsRun, modelVersion } を返す Promise
+ */
+function runTraining(folderPath, emitter, options = {}) {
+  const { signal, onPhase, ...workerOptions } = options; // 関数と AbortSignal は子プロセスに送れない
+
+  return new Promise((resolve, reject) => {
+    const jobId = nextJobId++;
+    pendingTasks.set(jobId, { emitter, onPhase: onPhase || (() => {}), resolve, reject });
+    getWorker().send({ type: 'train', jobId, folderPath, options: workerOptions });
+
+    // 中断が要求されたら子プロセスに伝える
+    if (signal) {
+      const cancel = () => {
+        if (worker && pendingTasks.has(jobId)) {
+          worker.send({ type: 'cancel', jobId });
+        }
+      };
+      if (signal.aborted) {
+        cancel();
+      } else {
+        signal.addEventListener('abort', cancel, { once: true });
+      }
+    }
+  });
+}
+
+/**
+ * 子プロセスで学習以外の処理を実行し、結果を受け取る関数 (進捗のイベントは送らない)
+ * @param {object} message 子プロセスに送るメッセージ (jobId は追加する)
+ * @returns {Promise<*>} 処理の結果を返す Promise
+ */
+function runWorkerTask(message) {
+  return new Promise((resolve, reject) => {
+    const jobId = nextJobId++;
+    pendingTasks.set(jobId, { emitter: { emit: () => {} }, onPhase: () => {}, resolve, reject });
+    getWorker().send({ ...message, jobId });
+  });
+}
+
+/**
+ * 子プロセスでデータ拡張のプレビューを作成する関数
+ * TensorFlow の読み込みと画像のデコード・拡張で Web サーバーの応答を止めないよう、学習と同じ子プロセスで実行する
+ * 引数と戻り値は TFhelper の previewAugmentation と同じ
+ * @param {string} filePath 画像ファイルのパス
+ * @param {object} augmentation データ拡張の設定 (学習設定の augmentation)
+ * @param {object} preprocessing 前処理の仕様 (resolvePreprocessing の結果)
+ * @param {number} count 作成する枚数
+ * @returns {Promise<Array<string>>} 拡張した画像 (PNG の Data URL) の配列を返す Promise
+ */
+function runPreview(filePath, augmentation, preprocessing, count) {
+  return runWorkerTask({ type: 'preview', filePath, augmentation, preprocessing, count });
+}
+
+/**
+ * 子プロセスで学習前のデータセットの確認を実行する関数
+ * すべての画像の読み込みとハッシュの計算で Web サーバーの応答を止めないよう、学習と同じ子プロセスで実行する
+ * 引数と戻り値は dataset の runPreflight と同じ
+ * @param {string} dirPath プロジェクトのフォルダのパス
+ * @param {object} config 学習設定 (検証済み)
+ * @param {number} inputSize 入力サイズ (一辺のピクセル数)
+ * @returns {Promise<object>} 確認結果を返す Promise
+ */
+function runPreflight(dirPath, config, inputSize) {
+  return runWorkerTask({ type: 'preflight', dirPath, config, inputSize });
+}
+
+// モジュールをエクスポート
+module.exports = {
+  runTraining: runTraining,
+  runPreview: runPreview,
+  runPreflight: runPreflight,
+};
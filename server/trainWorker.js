@@ -0,0 +1,91 @@
+// 学習を実行する子プロセス
+// Web サーバーの応答を止めないよう、画像の読み込み・特徴量抽出・学習はこのプロセスで行い、進捗はメッセージで親プロセスに送る
+// 親プロセス → 子プロセス: { type: 'train', jobId, folderPath, options } / { type: 'cancel', jobId } /
+//                          { type: 'preview', jobId, filePath, augmentation, preprocessing, count } /
+//                          { type: 'preflight', jobId, dirPath, config, inputSize }
+//   options.task が 'sweep' の場合はスイープを実行し、それ以外は通常の学習を実行する
+//   'preview' はデータ拡張のプレビューを作成し、'result' で画像の配列を返す
+//   'preflight' は学習前のデータセットの確認を行い、'result' で確認結果を返す
+// 子プロセス → 親プロセス: { type: 'emit', jobId, event, payload } / { type: 'phase', jobId, phase } /
+//                          { type: 'result', jobId, result } / { type: 'error', jobId, error }
+const { learnTransferModel, runSweep, previewAugmentation } = require('./TFhelper'); // 学習モジュールをインポート
+const { runPreflight } = require('./dataset'); // 学習前のデータセットの確認をインポート
+
+// 実行中の学習 (ジョブ ID → 学習を中断するための AbortController)
+const controllers = new Map();
+
+/**
+ * 親プロセスにメッセージを送る関数 (親プロセスとの接続が切れている場合は送らない)
+ * @param {object} message 送信するメッセージ
+ */
+function sendToParent(message) {
+  if (process.connected) {
+    process.send(message);
+  }
+}
+
+/**
+ * 学習を実行し、結果を親プロセスに送る関数
+ * @param {object} message 'train' メッセージ
+ */
+async function train(message) {
+  const { jobId, folderPath } = message;
+  const { task, ...options } = message.options;
+  const run = task === 'sweep' ? runSweep : learnTransferModel;
+  const controller = new AbortController();
+  controllers.set(jobId, controller);
+
+  // Socket.IO の代わりに親プロセスへイベントを転送する
+  const emitter = {
+    emit: (event, payload) => sendToParent({ type: 'emit', jobId, event, payload }),
+  };
+
+  try {
+    const result = await run(folderPath, emitter, {
+      ...options,
+      signal: controller.signal,
+      onPhase: phase => sendToParent({ type: 'phase', jobId, phase }),
+    });
+    sendToParent({ type: 'result', jobId, result });
+  } catch (err) {
+    console.error('学習エラー:', err);
+    sendToParent({ type: 'error', jobId, error: { message: err.message, code: err.code } });
+  } finally {
+    controllers.delete(jobId);
+  }
+}
+
+/**
+ * 学習以外の処理 (プレビュー・データセットの確認) を実行し、結果を親プロセスに送る関数
+ * @param {number} jobId ジョブ ID
+ * @param {function(): Promise<*>} handler 処理を実行する関数
+ */
+async function runTask(jobId, handler) {
+  try {
+    sendToParent({ type: 'result', jobId, result: await handler() });
+  } catch (err) {
+    console.error('処理エラー:', err);
+    sendToParent({ type: 'error', jobId, error: { message: err.message, code: err.code } });
+  }
+}
+
+// 親プロセスからのメッセージを処理
+process.on('message', (message) => {
+  if (message.type === 'train') {
+    train(message);
+  } else if (message.type === 'preview') {
+    runTask(message.jobId, () => previewAugmentation(message.filePath, message.augmentation, message.preprocessing, message.count));
+  } else if (message.type === 'preflight') {
+    runTask(message.jobId, () => runPreflight(message.dirPath, message.config, message.inputSize));
+  } else if (message.type === 'cancel') {
+    const controller = controllers.get(message.jobId);
+    if (controller) {
+      controller.abort();
+    }
+  }
+});
+
+// 親プロセスが終了したらこのプロセスも終了
+process.on('disconnect', () => {
+  process.exit(0);
+});